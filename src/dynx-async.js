@@ -0,0 +1,65 @@
+export function init(Dynx){
+    /**
+     * An async expression function for a Dynx.
+     * @typedef {Function} AsyncExpression
+     * @param {*} previous - The value of the Dynx before this evaluation.
+     * @param {Dynx} dynx - The Dynx being evaluated.
+     * @returns {Promise|*} A promise of the new value, or the new value.
+     */
+
+    /**
+     * Returns true if this Dynx is waiting on an async expression.
+     * @this Dynx
+     * @returns {boolean} True if pending.
+     */
+    Object.defineProperty(Dynx.prototype, 'isPending', {
+        get(){
+            this._track();
+            //the pending promise is discarded if the expression has since been replaced
+            return this._pending !== undefined && this._pending.exp === this._exp;
+        },
+        configurable: true
+    });
+
+    /**
+     * Creates a new async Dynx. The expression is tracked like any other up to its first await, and the value is the
+     * placeholder until the returned promise resolves. Resolutions from outdated evaluations are discarded. Rejections
+     * put the Dynx into the error state.
+     * @param {AsyncExpression} exp - The async expression.
+     * @param {*} [placeholder=INVALID] - The value while pending.
+     * @returns {Dynx} A new async Dynx.
+     */
+    Dynx.async = function(exp, placeholder=Dynx.INVALID){
+        if(typeof exp !== 'function')
+            throw new Error(`[Dynx] Exp must be a function, not ${exp}.`);
+        let dynx = new Dynx(placeholder);
+        let wrapper = (...args) => {
+            let result = exp(...args);
+            //non-promises are used directly
+            if(!result || typeof result.then !== 'function'){
+                delete dynx._pending;
+                return result;
+            }
+            let promise = result;
+            let pending = dynx._pending = {promise, exp: wrapper};
+            let isCurrent = () => dynx._pending === pending && dynx._exp === wrapper;
+            promise.then(value => {
+                if(isCurrent()){
+                    delete dynx._pending;
+                    dynx._settle(dynx._evaluate(value));
+                    dynx._triggerEvent('resolved', value);
+                }
+            }, err => {
+                if(isCurrent()){
+                    delete dynx._pending;
+                    dynx._settle({value: Dynx.INVALID, error: err});
+                    dynx._triggerEvent('rejected', err);
+                }
+            });
+            Dynx.immune(() => dynx._triggerEvent('pending', promise));
+            return placeholder;
+        };
+        dynx.exp = wrapper;
+        return dynx;
+    };
+}
@@ -0,0 +1,627 @@
+export function init(Dynx){
+    /**
+     * A change to a collection.
+     * @typedef {Object} ChangeRecord
+     * @property {string} type - One of splice (arrays only), set or delete (maps only).
+     * @property {number} [index] - The index of a splice or set on an array.
+     * @property {*} [key] - The key of a set or delete on a map.
+     * @property {Array} [removed] - The items removed by a splice.
+     * @property {Array} [added] - The items added by a splice.
+     * @property {*} [value] - The new value of a set.
+     * @property {*} [oldValue] - The old value of a set or delete.
+     */
+
+    /**
+     * The shared base of reactive collections. Expressions can depend on the size, on a single index or key, or on
+     * the whole collection.
+     * @class
+     */
+    class DynxCollection {
+        /**
+         * Creates a new collection, owned by the current scope or expression (if any).
+         * @constructor
+         * @param {number} size - The initial size.
+         */
+        constructor(size){
+            this._scope = Dynx.scope();
+            this._scope.run(() => {
+                this._size = new Dynx(size);
+                //updates on every change, for dependents of the whole collection, and fires the change records
+                this._changes = new Dynx(undefined, {equals: () => false});
+            });
+            //the Dynxes tracking single indices or keys, created once an expression depends on them, and removed once
+            //nothing depends on them when they would next change
+            this._slots = new Map();
+        }
+
+        /**
+         * Returns true if this collection has been disposed.
+         * @returns {boolean} True if disposed.
+         */
+        get isDisposed(){
+            return this._scope.isDisposed;
+        }
+
+        /**
+         * Gets the number of items, without tracking.
+         * @abstract
+         * @private
+         * @returns {number} The number of items.
+         */
+        get _count(){
+            throw new Error('[Dynx] Not implemented.');
+        }
+
+        /**
+         * Gets the value of an index or key, or INVALID if absent.
+         * @abstract
+         * @private
+         * @param {*} key - The index or key.
+         * @returns {*} The value.
+         */
+        _valueOf(key){
+            throw new Error('[Dynx] Not implemented.');
+        }
+
+        /**
+         * Makes the current expression depend on an index or key.
+         * @private
+         * @param {*} key - The index or key.
+         */
+        _trackKey(key){
+            if(!Dynx._isTracking() || this.isDisposed)
+                return;
+            let slot = this._slots.get(key);
+            if(!slot){
+                slot = this._scope.run(() => new Dynx(this._valueOf(key)));
+                this._slots.set(key, slot);
+            }
+            slot.value;
+        }
+
+        /**
+         * Makes the current expression depend on the size.
+         * @private
+         */
+        _trackSize(){
+            if(Dynx._isTracking() && !this.isDisposed)
+                this._size.value;
+        }
+
+        /**
+         * Makes the current expression depend on the whole collection.
+         * @private
+         */
+        _trackAll(){
+            if(Dynx._isTracking() && !this.isDisposed)
+                this._changes.value;
+        }
+
+        /**
+         * Throws if this collection cannot be changed.
+         * @private
+         */
+        _checkWritable(){
+            if(this.isDisposed)
+                throw new Error('[Dynx] Cannot change a disposed collection.');
+            if(this._isDerived)
+                throw new Error('[Dynx] Cannot change a derived collection.');
+        }
+
+        /**
+         * Updates the Dynx tracking an index or key, if any, or removes it if nothing depends on it anymore.
+         * @private
+         * @param {*} key - The index or key.
+         */
+        _refreshSlot(key){
+            let slot = this._slots.get(key);
+            if(!slot)
+                return;
+            if(slot['update-listeners']){
+                slot.value = this._valueOf(key);
+            }else{
+                this._slots.delete(key);
+                slot.dispose();
+            }
+        }
+
+        /**
+         * Updates dependents after a change, then fires its change record. Everything is updated in a single batch.
+         * @private
+         * @param {ChangeRecord} record - The change record.
+         * @param {Function|Array} affected - Returns true if the value of the given index or key may have changed, or
+         *     the indices or keys which may have changed.
+         */
+        _changed(record, affected){
+            Dynx.batch(() => {
+                this._size.value = this._count;
+                //keys are looked up in the same way as the map stores them, so NaN finds its slot
+                let keys = typeof affected === 'function' ? [...this._slots.keys()].filter(affected) : affected;
+                for(let key of keys)
+                    this._refreshSlot(key);
+                this._changes.value = record;
+                this._changes._triggerEvent('change', record);
+            });
+        }
+
+        /**
+         * Adds a new handler for a specific event.
+         * @param {string} event - The event to handle (change)
+         * @param {Listener} handler - The handler function, called with each change record.
+         * @return {DynxCollection} This for chaining.
+         */
+        on(event, handler){
+            if(event !== 'change')
+                throw new Error(`[Dynx] Unrecognized event ${event}.`);
+            this._changes.on(event, handler);
+            return this;
+        }
+
+        /**
+         * Removes a handle from a specific event.
+         * @param {string} event - The event to no longer handle (change)
+         * @param {Listener} handler - The handler function.
+         * @return {DynxCollection} This for chaining.
+         */
+        off(event, handler){
+            if(event !== 'change')
+                throw new Error(`[Dynx] Unrecognized event ${event}.`);
+            this._changes.off(event, handler);
+            return this;
+        }
+
+        /**
+         * Disposes this collection. Dependents keep their last value, and derived collections stop updating.
+         */
+        dispose(){
+            this._scope.dispose();
+            this._slots.clear();
+        }
+    }
+
+    /**
+     * A reactive array. Unlike an array in a Dynx, it is changed in place, and emits a change record describing each
+     * change.
+     * @class
+     */
+    class DynxArray extends DynxCollection {
+        /**
+         * Creates a new reactive array.
+         * @constructor
+         * @param {Iterable} [items] - The initial items.
+         */
+        constructor(items=[]){
+            items = Array.from(items);
+            super(items.length);
+            this._items = items;
+        }
+
+        /**
+         * Gets the number of items. Expressions reading it only depend on the length.
+         * @returns {number} The length.
+         */
+        get length(){
+            this._trackSize();
+            return this._items.length;
+        }
+
+        /**
+         * @private
+         * @inheritDoc
+         */
+        get _count(){
+            return this._items.length;
+        }
+
+        /**
+         * @private
+         * @inheritDoc
+         */
+        _valueOf(index){
+            return index < this._items.length ? this._items[index] : Dynx.INVALID;
+        }
+
+        /**
+         * Gets an item. Expressions reading it only depend on that index.
+         * @param {number} index - The index.
+         * @returns {*} The item, or undefined if out of range.
+         */
+        get(index){
+            this._trackKey(index);
+            return this._items[index];
+        }
+
+        /**
+         * Sets an item. Setting the index after the last item appends it.
+         * @param {number} index - The index.
+         * @param {*} value - The new item.
+         * @return {DynxArray} This for chaining.
+         */
+        set(index, value){
+            this._checkWritable();
+            this._set(index, value);
+            return this;
+        }
+
+        /**
+         * Sets an item without checking if writable.
+         * @private
+         * @param {number} index - The index.
+         * @param {*} value - The new item.
+         */
+        _set(index, value){
+            if(!Number.isInteger(index) || index < 0 || index > this._items.length)
+                throw new Error(`[Dynx] Index ${index} is out of range.`);
+            if(index === this._items.length){
+                this._splice(index, 0, [value]);
+                return;
+            }
+            let oldValue = this._items[index];
+            if(oldValue === value)
+                return;
+            this._items[index] = value;
+            this._changed({type: 'set', index, value, oldValue}, [index]);
+        }
+
+        /**
+         * Removes and adds items, as with Array.prototype.splice.
+         * @param {number} start - The index to start at.
+         * @param {number} [deleteCount] - The number of items to remove, defaults to all remaining items.
+         * @param {[]} items - The items to add.
+         * @returns {Array} The removed items.
+         */
+        splice(start, deleteCount, ...items){
+            this._checkWritable();
+            let length = this._items.length;
+            start = start < 0 ? Math.max(length + start, 0) : Math.min(start, length);
+            deleteCount = arguments.length < 2 ? length - start : Math.min(Math.max(deleteCount, 0), length - start);
+            return this._splice(start, deleteCount, items);
+        }
+
+        /**
+         * Removes and adds items without checking if writable or normalizing arguments.
+         * @private
+         * @param {number} index - The index to start at.
+         * @param {number} deleteCount - The number of items to remove.
+         * @param {Array} added - The items to add.
+         * @returns {Array} The removed items.
+         */
+        _splice(index, deleteCount, added){
+            let oldLength = this._items.length;
+            let removed = this._items.splice(index, deleteCount, ...added);
+            if(removed.length == 0 && added.length == 0)
+                return removed;
+            //later items only move if the length changed
+            let end = removed.length === added.length ? index + added.length : Math.max(oldLength, this._items.length);
+            this._changed({type: 'splice', index, removed, added}, i => i >= index && i < end);
+            return removed;
+        }
+
+        /**
+         * Adds items to the end.
+         * @param {[]} items - The items to add.
+         * @returns {number} The new length.
+         */
+        push(...items){
+            this.splice(this._items.length, 0, ...items);
+            return this._items.length;
+        }
+
+        /**
+         * Removes the last item.
+         * @returns {*} The removed item.
+         */
+        pop(){
+            return this.splice(-1, 1)[0];
+        }
+
+        /**
+         * Adds items to the start.
+         * @param {[]} items - The items to add.
+         * @returns {number} The new length.
+         */
+        unshift(...items){
+            this.splice(0, 0, ...items);
+            return this._items.length;
+        }
+
+        /**
+         * Removes the first item.
+         * @returns {*} The removed item.
+         */
+        shift(){
+            return this.splice(0, 1)[0];
+        }
+
+        /**
+         * Copies the items into a plain array. Expressions reading it depend on the whole array.
+         * @returns {Array} The items.
+         */
+        toArray(){
+            this._trackAll();
+            return this._items.slice();
+        }
+
+        /**
+         * Iterates over the items. Expressions iterating depend on the whole array.
+         * @returns {Iterator} The iterator.
+         */
+        [Symbol.iterator](){
+            return this.toArray()[Symbol.iterator]();
+        }
+
+        /**
+         * Creates a read-only array which follows this one.
+         * @private
+         * @param {Array} items - The initial items of the derived array.
+         * @param {Listener} handler - Applies each change record of this array to the derived array.
+         * @returns {DynxArray} The derived array.
+         */
+        _derive(items, handler){
+            let derived = new DynxArray(items);
+            derived._isDerived = true;
+            //the handler is owned by the derived array, so it is removed when the derived array is disposed
+            derived._scope.run(() => this.on('change', handler));
+            return derived;
+        }
+
+        /**
+         * Creates a derived array of this array's mapped items. Only the items that change are mapped again.
+         * @param {Function} func - The mapping function, called with an item.
+         * @returns {DynxArray} The derived array.
+         */
+        map(func){
+            let map = item => Dynx.immune(func, item);
+            let derived = this._derive(this._items.map(map), record => {
+                if(record.type === 'splice')
+                    derived._splice(record.index, record.removed.length, record.added.map(map));
+                else
+                    derived._set(record.index, map(record.value));
+            });
+            return derived;
+        }
+
+        /**
+         * Creates a derived array of this array's items which pass the predicate. Only the items that change are
+         * tested again.
+         * @param {Function} predicate - The predicate, called with an item.
+         * @returns {DynxArray} The derived array.
+         */
+        filter(predicate){
+            let test = item => Boolean(Dynx.immune(predicate, item));
+            //whether each item of this array is included
+            let included = this._items.map(test);
+            let positionOf = index => included.slice(0, index).filter(Boolean).length;
+            let derived = this._derive(this._items.filter((item, i) => included[i]), record => {
+                let position = positionOf(record.index);
+                if(record.type === 'splice'){
+                    let added = record.added.map(test);
+                    let removed = included.splice(record.index, record.removed.length, ...added);
+                    derived._splice(position, removed.filter(Boolean).length,
+                        record.added.filter((item, i) => added[i]));
+                }else{
+                    let was = included[record.index];
+                    let is = included[record.index] = test(record.value);
+                    if(was && is)
+                        derived._set(position, record.value);
+                    else if(was)
+                        derived._splice(position, 1, []);
+                    else if(is)
+                        derived._splice(position, 0, [record.value]);
+                }
+            });
+            return derived;
+        }
+
+        /**
+         * Creates a derived array of this array's items in sorted order. Changed items are moved into place rather than
+         * sorting again.
+         * @param {Function} [compare] - The comparator, as for Array.prototype.sort, defaults to comparing with <
+         *     and >.
+         * @returns {DynxArray} The derived array.
+         */
+        sort(compare=(a, b) => a < b ? -1 : a > b ? 1 : 0){
+            let cmp = (a, b) => Dynx.immune(compare, a, b);
+            let derived;
+            //finds the first index whose item is after the given item, or not before it if inclusive
+            let search = (item, inclusive) => {
+                let items = derived._items;
+                let low = 0;
+                let high = items.length;
+                while(low < high){
+                    let mid = (low + high) >> 1;
+                    let order = cmp(items[mid], item);
+                    if(order < 0 || (order == 0 && !inclusive))
+                        low = mid + 1;
+                    else
+                        high = mid;
+                }
+                return low;
+            };
+            let insert = item => derived._splice(search(item, false), 0, [item]);
+            let remove = item => {
+                let items = derived._items;
+                for(let i = search(item, true); i < items.length; i++){
+                    if(Object.is(items[i], item)){
+                        derived._splice(i, 1, []);
+                        return;
+                    }
+                }
+            };
+            derived = this._derive(this._items.slice().sort(cmp), record => {
+                if(record.type === 'splice'){
+                    record.removed.forEach(remove);
+                    record.added.forEach(insert);
+                }else{
+                    remove(record.oldValue);
+                    insert(record.value);
+                }
+            });
+            return derived;
+        }
+
+        /**
+         * Creates a read-only Dynx of this array's items reduced to a single value. Items added to the end are folded
+         * into the current value, while other changes reduce the whole array again.
+         * @param {Function} reducer - The reducer, called with the accumulated value and an item.
+         * @param {*} seed - The initial accumulated value.
+         * @returns {Dynx} The reduced Dynx.
+         */
+        reduce(reducer, seed){
+            let fold = (acc, items) => items.reduce((acc, item) => Dynx.immune(reducer, acc, item), acc);
+            //kept outside the Dynx, since writes are deferred inside batches
+            let acc = fold(seed, this._items);
+            return Dynx._driven(acc, emit => ({
+                listeners: [[this._changes, 'change', record => {
+                    let isAppend = record.type === 'splice' && record.removed.length == 0 &&
+                        record.index + record.added.length === this._items.length;
+                    acc = isAppend ? fold(acc, record.added) : fold(seed, this._items);
+                    emit(acc);
+                }]]
+            }));
+        }
+    }
+
+    /**
+     * A reactive map. Unlike a map in a Dynx, it is changed in place, and emits a change record describing each
+     * change.
+     * @class
+     */
+    class DynxMap extends DynxCollection {
+        /**
+         * Creates a new reactive map.
+         * @constructor
+         * @param {Iterable} [entries] - The initial entries.
+         */
+        constructor(entries=[]){
+            entries = new Map(entries);
+            super(entries.size);
+            this._entries = entries;
+        }
+
+        /**
+         * Gets the number of entries. Expressions reading it only depend on the size.
+         * @returns {number} The size.
+         */
+        get size(){
+            this._trackSize();
+            return this._entries.size;
+        }
+
+        /**
+         * @private
+         * @inheritDoc
+         */
+        get _count(){
+            return this._entries.size;
+        }
+
+        /**
+         * @private
+         * @inheritDoc
+         */
+        _valueOf(key){
+            return this._entries.has(key) ? this._entries.get(key) : Dynx.INVALID;
+        }
+
+        /**
+         * Gets the value of a key. Expressions reading it only depend on that key.
+         * @param {*} key - The key.
+         * @returns {*} The value, or undefined if absent.
+         */
+        get(key){
+            this._trackKey(key);
+            return this._entries.get(key);
+        }
+
+        /**
+         * Returns true if a key is present. Expressions reading it only depend on that key.
+         * @param {*} key - The key.
+         * @returns {boolean} True if present.
+         */
+        has(key){
+            this._trackKey(key);
+            return this._entries.has(key);
+        }
+
+        /**
+         * Sets the value of a key.
+         * @param {*} key - The key.
+         * @param {*} value - The new value.
+         * @return {DynxMap} This for chaining.
+         */
+        set(key, value){
+            this._checkWritable();
+            let oldValue = this._entries.get(key);
+            if(this._entries.has(key) && oldValue === value)
+                return this;
+            this._entries.set(key, value);
+            this._changed({type: 'set', key, value, oldValue}, [key]);
+            return this;
+        }
+
+        /**
+         * Removes a key.
+         * @param {*} key - The key.
+         * @returns {boolean} True if the key was present.
+         */
+        delete(key){
+            this._checkWritable();
+            if(!this._entries.has(key))
+                return false;
+            let oldValue = this._entries.get(key);
+            this._entries.delete(key);
+            this._changed({type: 'delete', key, oldValue}, [key]);
+            return true;
+        }
+
+        /**
+         * Removes all keys, in a single batch.
+         */
+        clear(){
+            this._checkWritable();
+            Dynx.batch(() => {
+                for(let key of [...this._entries.keys()])
+                    this.delete(key);
+            });
+        }
+
+        /**
+         * Iterates over the keys. Expressions iterating depend on the whole map.
+         * @returns {Iterator} The iterator.
+         */
+        keys(){
+            this._trackAll();
+            return [...this._entries.keys()][Symbol.iterator]();
+        }
+
+        /**
+         * Iterates over the values. Expressions iterating depend on the whole map.
+         * @returns {Iterator} The iterator.
+         */
+        values(){
+            this._trackAll();
+            return [...this._entries.values()][Symbol.iterator]();
+        }
+
+        /**
+         * Iterates over the entries. Expressions iterating depend on the whole map.
+         * @returns {Iterator} The iterator.
+         */
+        entries(){
+            this._trackAll();
+            return [...this._entries.entries()][Symbol.iterator]();
+        }
+
+        /**
+         * Alias for @see entries.
+         */
+        [Symbol.iterator](){
+            return this.entries();
+        }
+    }
+
+    //add to class for easy access
+    Dynx.Array = DynxArray;
+    Dynx.Map = DynxMap;
+}
@@ -0,0 +1,46 @@
+export function init(Dynx){
+    /**
+     * A side effect. Dynxes read while it runs are tracked, as in an expression.
+     * @callback EffectFunction
+     * @returns {Function|undefined} A cleanup function, called before the effect next runs and once it is disposed.
+     */
+
+    /**
+     * Creates a new effect, which runs a function immediately, then again whenever a Dynx it read changes. Effects
+     * run once every other Dynx updated in the same wave has settled, so they never see a mix of old and new values,
+     * and the dependents of any Dynx they write update before the next effect runs. Writing a Dynx does not make the
+     * effect depend on it.
+     * @param {EffectFunction} func - The function to run.
+     * @returns {Dynx} The effect, which can be disposed to stop it. If the function throws, it is put into the error
+     *     state.
+     */
+    Dynx.effect = function(func){
+        let cleanup;
+        let runCleanup = () => {
+            if(cleanup){
+                let func = cleanup;
+                cleanup = undefined;
+                Dynx.immune(func);
+            }
+        };
+        let effect = new Dynx();
+        let run = () => {
+            if(!effect.isDisposed)
+                effect.update();
+        };
+        run.dynxListener = effect;
+        //instead of updating with its parents, the effect waits until the wave has settled
+        effect._schedule = () => {
+            if(!Dynx._effects.includes(run))
+                Dynx._effects.push(run);
+        };
+        effect._addListener('dispose-listeners', runCleanup);
+        effect.finalize(() => {
+            runCleanup();
+            let result = func();
+            if(typeof result === 'function')
+                cleanup = result;
+        });
+        return effect;
+    };
+}
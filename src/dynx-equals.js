@@ -0,0 +1,70 @@
+/**
+ * An equality comparator for a Dynx.
+ * @typedef {Function} Comparator
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} True if the values are considered equal.
+ */
+
+/**
+ * Compares with ===. This is the default.
+ * @type {Comparator}
+ */
+export function strict(a, b){
+    return a === b;
+}
+
+/**
+ * Compares arrays by elements and plain objects by own properties, one level deep.
+ * @type {Comparator}
+ */
+export function shallow(a, b){
+    return compare(a, b, Object.is);
+}
+
+/**
+ * Compares arrays by elements and plain objects by own properties, recursively.
+ * @type {Comparator}
+ */
+export function deep(a, b){
+    return compare(a, b, deep);
+}
+
+/**
+ * Compares two values, using the given comparator for their elements or properties.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @param {Comparator} compareInner - The comparator for elements or properties.
+ * @returns {boolean} True if the values are considered equal.
+ */
+function compare(a, b, compareInner){
+    if(Object.is(a, b))
+        return true;
+    if(typeof a !== 'object' || typeof b !== 'object' || a === null || b === null)
+        return false;
+    if(Object.getPrototypeOf(a) !== Object.getPrototypeOf(b))
+        return false;
+    if(Array.isArray(a)){
+        if(a.length !== b.length)
+            return false;
+        for(let i = 0; i < a.length; i++){
+            if(!compareInner(a[i], b[i]))
+                return false;
+        }
+        return true;
+    }
+    if(a instanceof Date)
+        return a.getTime() === b.getTime();
+    //only plain objects are compared by properties
+    let proto = Object.getPrototypeOf(a);
+    if(proto !== Object.prototype && proto !== null)
+        return false;
+    let keys = Object.keys(a);
+    if(keys.length !== Object.keys(b).length)
+        return false;
+    for(let key of keys){
+        if(!Object.prototype.hasOwnProperty.call(b, key) || !compareInner(a[key], b[key]))
+            return false;
+    }
+    return true;
+}
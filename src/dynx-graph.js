@@ -0,0 +1,150 @@
+export function init(Dynx){
+    /**
+     * A node of a dependency graph.
+     * @typedef {Object} GraphNode
+     * @property {number} id - The index of the node.
+     * @property {Dynx} dynx - The Dynx.
+     * @property {string|undefined} name - The name of the Dynx.
+     * @property {string} state - One of constant, final, invalid, expression or source.
+     * @property {number} rank - The depth of the Dynx in the graph.
+     * @property {*} value - The current value.
+     */
+
+    /**
+     * An edge of a dependency graph, from a parent to a child.
+     * @typedef {Object} GraphEdge
+     * @property {number} from - The id of the parent node.
+     * @property {number} to - The id of the child node.
+     */
+
+    /**
+     * Gets the state of a Dynx without evaluating or subscribing to it.
+     * @param {Dynx} dynx - The Dynx.
+     * @returns {string} The state.
+     */
+    function stateOf(dynx){
+        if(dynx.isConstant)
+            return 'constant';
+        if(dynx.isFinal)
+            return 'final';
+        if(dynx._value === Dynx.INVALID)
+            return 'invalid';
+        if(dynx.exp)
+            return 'expression';
+        return 'source';
+    }
+
+    /**
+     * Describes a value as a short string.
+     * @param {*} value - The value.
+     * @returns {string} The description.
+     */
+    function describe(value){
+        if(value === Dynx.INVALID)
+            return 'INVALID';
+        if(typeof value === 'function')
+            return `function ${value.name}`.trim();
+        if(typeof value === 'symbol')
+            return value.toString();
+        try{
+            let json = JSON.stringify(value);
+            return json === undefined ? String(value) : json;
+        }catch(err){
+            return String(value);
+        }
+    }
+
+    /**
+     * Escapes a string for use in a DOT label.
+     * @param {string} str - The string.
+     * @returns {string} The escaped string.
+     */
+    function escapeDot(str){
+        return str.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    }
+
+    /**
+     * A snapshot of a Dynx dependency graph.
+     * @class
+     */
+    class DynxGraph {
+        /**
+         * Creates a new graph.
+         * @constructor
+         * @param {GraphNode[]} nodes - The nodes.
+         * @param {GraphEdge[]} edges - The edges.
+         */
+        constructor(nodes, edges){
+            this.nodes = nodes;
+            this.edges = edges;
+        }
+
+        /**
+         * Exports this graph in the Graphviz DOT language.
+         * @returns {string} The DOT source.
+         */
+        toDot(){
+            let lines = ['digraph dynx {'];
+            for(let node of this.nodes){
+                let label = `${node.name || `#${node.id}`}\n${node.state}: ${describe(node.value)}`;
+                let shape = node.state === 'constant' || node.state === 'source' ? 'box' : 'ellipse';
+                lines.push(`    n${node.id} [label="${escapeDot(label)}", shape=${shape}];`);
+            }
+            for(let edge of this.edges)
+                lines.push(`    n${edge.from} -> n${edge.to};`);
+            lines.push('}');
+            return lines.join('\n');
+        }
+
+        /**
+         * Exports this graph as a JSON-serializable object. Values are described as strings.
+         * @returns {{nodes: Object[], edges: GraphEdge[]}} The JSON object.
+         */
+        toJSON(){
+            return {
+                nodes: this.nodes.map(({id, name, state, rank, value}) => ({id, name, state, rank,
+                    value: describe(value)})),
+                edges: this.edges.map(({from, to}) => ({from, to}))
+            };
+        }
+    }
+
+    /**
+     * Creates a snapshot of the dependency graph connected to the given Dynxes.
+     * @param {Dynx|Dynx[]} roots - The Dynxes to start from.
+     * @returns {DynxGraph} The graph.
+     */
+    Dynx.graph = function(roots){
+        if(!Array.isArray(roots))
+            roots = [roots];
+        let ids = new Map();
+        let nodes = [];
+        let edges = [];
+        let pending = [];
+        let visit = dynx => {
+            if(!ids.has(dynx)){
+                ids.set(dynx, nodes.length);
+                nodes.push({id: nodes.length, dynx, name: dynx.name, state: stateOf(dynx), rank: dynx._rank,
+                    value: dynx._value});
+                pending.push(dynx);
+            }
+            return ids.get(dynx);
+        };
+        for(let dynx of roots)
+            visit(dynx);
+        //walk the whole connected graph
+        while(pending.length != 0){
+            let dynx = pending.shift();
+            for(let parent of dynx.parents)
+                visit(parent);
+            for(let child of dynx.children)
+                visit(child);
+        }
+        //connect parents to children
+        for(let [dynx, id] of ids){
+            for(let child of dynx.children)
+                edges.push({from: id, to: ids.get(child)});
+        }
+        return new DynxGraph(nodes, edges);
+    };
+}
@@ -0,0 +1,211 @@
+export function init(Dynx){
+    /**
+     * A step of history, holding every change made in a single propagation wave.
+     * @typedef {Object} HistoryStep
+     * @property {number} id - Identifies the step, increasing with each step.
+     * @property {number} wave - The wave the changes were made in.
+     * @property {Map<Dynx, {oldValue: *, newValue: *}>} changes - The changes to each Dynx.
+     */
+
+    /**
+     * Records changes to source Dynxes, so that they can be undone and redone.
+     * @class
+     */
+    class DynxHistory {
+        /**
+         * Creates a new history, and starts recording.
+         * @constructor
+         * @param {Dynx[]} dynxes - The source Dynxes to record.
+         * @param {Object} [options] - Additional options.
+         * @param {number} [options.limit=Infinity] - The maximum number of steps to keep.
+         */
+        constructor(dynxes, {limit=Infinity}={}){
+            this._limit = limit;
+            /** @type {HistoryStep[]} */
+            this._past = [];
+            /** @type {HistoryStep[]} */
+            this._future = [];
+            this._nextId = 1;
+            //the position before the oldest step kept
+            this._baseId = 0;
+            //the last known source value of each Dynx
+            this._known = new Map();
+            this._canUndo = new Dynx(false);
+            this._canRedo = new Dynx(false);
+            /**
+             * True if there is a step to undo.
+             * @type {Dynx}
+             */
+            this.canUndo = Dynx.computed({get: () => this._canUndo.value});
+            /**
+             * True if there is a step to redo.
+             * @type {Dynx}
+             */
+            this.canRedo = Dynx.computed({get: () => this._canRedo.value});
+            this._listeners = new Map();
+            for(let dynx of dynxes){
+                this._known.set(dynx, dynx._init_value);
+                let listener = () => this._record(dynx);
+                this._listeners.set(dynx, listener);
+                dynx.on('update', listener);
+            }
+        }
+
+        /**
+         * Records the new value of a Dynx.
+         * @private
+         * @param {Dynx} dynx - The updated Dynx.
+         */
+        _record(dynx){
+            let oldValue = this._known.get(dynx);
+            //only values written to sources are recorded
+            let newValue = dynx._exp ? dynx._value : dynx._init_value;
+            this._known.set(dynx, newValue);
+            if(this._isApplying || dynx._exp || dynx.equals(oldValue, newValue))
+                return;
+            let step = this._open;
+            if(!step || step.wave !== Dynx._wave){
+                step = this._open = {id: this._nextId++, wave: Dynx._wave, changes: new Map()};
+                this._past.push(step);
+                this._future = [];
+                if(this._past.length > this._limit)
+                    this._baseId = this._past.shift().id;
+                this._refresh();
+            }
+            let change = step.changes.get(dynx);
+            if(change)
+                change.newValue = newValue;
+            else
+                step.changes.set(dynx, {oldValue, newValue});
+        }
+
+        /**
+         * Updates canUndo and canRedo.
+         * @private
+         */
+        _refresh(){
+            Dynx.batch(() => {
+                this._canUndo.value = this._past.length != 0;
+                this._canRedo.value = this._future.length != 0;
+            });
+        }
+
+        /**
+         * Writes the values of a step, in a single batch. Dynxes which have since become final are skipped.
+         * @private
+         * @param {HistoryStep} step - The step.
+         * @param {string} which - Either oldValue or newValue.
+         */
+        _apply(step, which){
+            this._isApplying = true;
+            try{
+                Dynx.batch(() => {
+                    for(let [dynx, change] of step.changes){
+                        if(!dynx.isFinal)
+                            dynx.value = change[which];
+                    }
+                });
+            }finally{
+                this._isApplying = false;
+            }
+        }
+
+        /**
+         * Gets the id of the current position, which is the id of the last step not undone.
+         * @private
+         * @returns {number} The id.
+         */
+        get _position(){
+            return this._past.length != 0 ? this._past[this._past.length - 1].id : this._baseId;
+        }
+
+        /**
+         * Undoes the last step.
+         * @returns {boolean} True if there was a step to undo.
+         */
+        undo(){
+            this._open = undefined;
+            if(this._past.length == 0)
+                return false;
+            let step = this._past.pop();
+            this._future.push(step);
+            this._apply(step, 'oldValue');
+            this._refresh();
+            return true;
+        }
+
+        /**
+         * Redoes the last undone step.
+         * @returns {boolean} True if there was a step to redo.
+         */
+        redo(){
+            this._open = undefined;
+            if(this._future.length == 0)
+                return false;
+            let step = this._future.pop();
+            this._past.push(step);
+            this._apply(step, 'newValue');
+            this._refresh();
+            return true;
+        }
+
+        /**
+         * Marks the current position, so that it can be returned to with revert. Changes made after a checkpoint
+         * always start a new step, even if in the same wave.
+         * @returns {number} The checkpoint.
+         */
+        checkpoint(){
+            this._open = undefined;
+            return this._position;
+        }
+
+        /**
+         * Undoes or redoes steps until the given checkpoint is reached.
+         * @param {number} checkpoint - The checkpoint.
+         */
+        revert(checkpoint){
+            this._open = undefined;
+            let inPast = checkpoint === this._baseId || this._past.some(step => step.id === checkpoint);
+            let inFuture = this._future.some(step => step.id === checkpoint);
+            if(!inPast && !inFuture)
+                throw new Error('[Dynx] Checkpoint is no longer in the history.');
+            while(this._position !== checkpoint){
+                if(!(inPast ? this.undo() : this.redo()))
+                    break;
+            }
+        }
+
+        /**
+         * Forgets all steps.
+         */
+        clear(){
+            this._open = undefined;
+            this._baseId = this._position;
+            this._past = [];
+            this._future = [];
+            this._refresh();
+        }
+
+        /**
+         * Stops recording and forgets all steps.
+         */
+        dispose(){
+            for(let [dynx, listener] of this._listeners)
+                dynx.off('update', listener);
+            this._listeners.clear();
+            this.clear();
+        }
+    }
+
+    /**
+     * Creates a new history of the given source Dynxes. Values written to them are recorded, and all changes made in
+     * the same propagation wave, such as in a batch, are undone and redone together.
+     * @param {Dynx[]} dynxes - The source Dynxes to record.
+     * @param {Object} [options] - Additional options.
+     * @param {number} [options.limit=Infinity] - The maximum number of steps to keep.
+     * @returns {DynxHistory} The new history.
+     */
+    Dynx.history = function(dynxes, options){
+        return new DynxHistory(dynxes, options);
+    };
+}
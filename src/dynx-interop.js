@@ -0,0 +1,247 @@
+export function init(Dynx){
+    //fall back to the conventional names where the symbols are not defined
+    const observableKey = typeof Symbol.observable === 'symbol' ? Symbol.observable : '@@observable';
+    const asyncIteratorKey = typeof Symbol.asyncIterator === 'symbol' ? Symbol.asyncIterator : '@@asyncIterator';
+
+    /**
+     * An observer of a Dynx, as in the Observable proposal.
+     * @typedef {Object} Observer
+     * @property {Function} [next] - Called with each value.
+     * @property {Function} [error] - Never called, since Dynxes recover from errors. The value is INVALID while
+     *     errored.
+     * @property {Function} [complete] - Called once the Dynx can no longer change.
+     */
+
+    /**
+     * A subscription to a Dynx, as in the Observable proposal.
+     * @typedef {Object} Subscription
+     * @property {boolean} closed - True once unsubscribed or completed.
+     * @property {Function} unsubscribe - Stops observing the Dynx.
+     */
+
+    /**
+     * Observes this Dynx. The observer is called with the current value immediately, then with each new value, and
+     * completes once this Dynx becomes constant or is disposed.
+     * @param {Observer|Function} observer - The observer, or its next function.
+     * @param {Function} [error] - The error function, if observer is a function.
+     * @param {Function} [complete] - The complete function, if observer is a function.
+     * @returns {Subscription} The subscription.
+     */
+    Dynx.prototype.subscribe = function(observer, error, complete){
+        if(typeof observer === 'function')
+            observer = {next: observer, error, complete};
+        else if(!observer || typeof observer !== 'object')
+            throw new Error(`[Dynx] Observer must be an object or a function, not ${observer}.`);
+        let onUpdate = value => {
+            if(observer.next)
+                observer.next(value);
+        };
+        let onEnd = () => {
+            subscription.unsubscribe();
+            if(observer.complete)
+                observer.complete();
+        };
+        let subscription = {
+            closed: false,
+            unsubscribe: () => {
+                if(subscription.closed)
+                    return;
+                subscription.closed = true;
+                this._removeListener('update-listeners', onUpdate);
+                this._removeListener('constant-listeners', onEnd);
+                this._removeListener('dispose-listeners', onEnd);
+            }
+        };
+        let value = Dynx.immune(() => this.value);
+        if(this.isConstant){
+            onUpdate(value);
+            subscription.closed = true;
+            if(observer.complete)
+                observer.complete();
+            return subscription;
+        }
+        //listeners are added directly, so that only unsubscribing removes them
+        this._addListener('update-listeners', onUpdate);
+        this._addListener('constant-listeners', onEnd);
+        this._addListener('dispose-listeners', onEnd);
+        onUpdate(value);
+        return subscription;
+    };
+
+    /**
+     * Returns this Dynx, which is its own observable.
+     * @returns {Dynx} This.
+     */
+    Dynx.prototype[observableKey] = function(){
+        return this;
+    };
+
+    /**
+     * Iterates over the values of this Dynx, starting with the current value. Values are buffered until they are
+     * consumed, and iteration ends once this Dynx becomes constant or is disposed.
+     * @returns {AsyncIterator} The iterator.
+     */
+    Dynx.prototype[asyncIteratorKey] = function(){
+        let buffer = [];
+        let waiting = [];
+        let done = false;
+        let push = result => {
+            if(waiting.length != 0)
+                waiting.shift()(result);
+            else
+                buffer.push(result);
+        };
+        let end = () => {
+            done = true;
+            for(let resolve of waiting.splice(0))
+                resolve({value: undefined, done: true});
+        };
+        let subscription = this.subscribe({
+            next: value => push({value, done: false}),
+            complete: end
+        });
+        return {
+            next(){
+                if(buffer.length != 0)
+                    return Promise.resolve(buffer.shift());
+                if(done)
+                    return Promise.resolve({value: undefined, done: true});
+                return new Promise(resolve => waiting.push(resolve));
+            },
+            return(value){
+                subscription.unsubscribe();
+                buffer = [];
+                end();
+                return Promise.resolve({value, done: true});
+            },
+            [asyncIteratorKey](){
+                return this;
+            }
+        };
+    };
+
+    /**
+     * Returns a promise of the first value of this Dynx, including the current value, which satisfies the predicate.
+     * Rejects if this Dynx can no longer change before then.
+     * @param {Function} [predicate] - The condition to wait for, defaults to any valid value.
+     * @returns {Promise} The promise of the value.
+     */
+    Dynx.prototype.when = function(predicate=value => value !== Dynx.INVALID){
+        return new Promise((resolve, reject) => {
+            let isSettled = false;
+            let subscription;
+            let settle = (func, arg) => {
+                isSettled = true;
+                if(subscription)
+                    subscription.unsubscribe();
+                func(arg);
+            };
+            subscription = this.subscribe({
+                next: value => {
+                    if(isSettled)
+                        return;
+                    let isMet;
+                    try{
+                        isMet = predicate(value);
+                    }catch(err){
+                        settle(reject, err);
+                        return;
+                    }
+                    if(isMet)
+                        settle(resolve, value);
+                },
+                complete: () => {
+                    if(!isSettled){
+                        let message = '[Dynx] Condition can never be met, since the Dynx can no longer change.';
+                        settle(reject, new Error(message));
+                    }
+                }
+            });
+            //the current value may have settled before subscribe returned
+            if(isSettled)
+                subscription.unsubscribe();
+        });
+    };
+
+    /**
+     * Puts a Dynx into the error state.
+     * @param {Dynx} dynx - The Dynx.
+     * @param {*} error - The error.
+     */
+    function fail(dynx, error){
+        //forget the last value, so that writing it again recovers
+        dynx._init_value = Dynx.INVALID;
+        dynx._settle({value: Dynx.INVALID, error});
+    }
+
+    /**
+     * Creates a new Dynx that tracks an external source. Its value is INVALID until the source first produces a value,
+     * errors put it into the error state, and it becomes constant once the source completes. Disposing the Dynx stops
+     * tracking the source.
+     * @param {Observable|AsyncIterable|Promise} source - The source to track.
+     * @param {Object} [options] - Additional options, as for the constructor.
+     * @returns {Dynx} A new Dynx.
+     */
+    Dynx.from = function(source, options){
+        if(source && typeof source[observableKey] === 'function')
+            source = source[observableKey]();
+        let dynx = new Dynx(Dynx.INVALID, options);
+        let isStopped = false;
+        let next = value => {
+            if(!isStopped && !dynx.isFinal)
+                dynx.value = value;
+        };
+        let error = err => {
+            if(!isStopped && !dynx.isFinal)
+                fail(dynx, err);
+        };
+        let complete = () => {
+            if(!isStopped && !dynx.isFinal && !dynx.isErrored)
+                dynx.constant();
+        };
+        let stop;
+        //added before tracking, since sources can complete synchronously
+        dynx._addListener('dispose-listeners', () => {
+            isStopped = true;
+            if(stop)
+                stop();
+        });
+        if(source && typeof source.subscribe === 'function'){
+            let subscription = source.subscribe({next, error, complete});
+            stop = () => {
+                if(typeof subscription === 'function')
+                    subscription();
+                else if(subscription && typeof subscription.unsubscribe === 'function')
+                    subscription.unsubscribe();
+            };
+        }else if(source && typeof source[asyncIteratorKey] === 'function'){
+            let iterator = source[asyncIteratorKey]();
+            let pull = () => {
+                iterator.next().then(result => {
+                    if(isStopped)
+                        return;
+                    if(result.done){
+                        complete();
+                    }else{
+                        next(result.value);
+                        pull();
+                    }
+                }, error);
+            };
+            stop = () => {
+                if(typeof iterator.return === 'function')
+                    iterator.return();
+            };
+            pull();
+        }else if(source && typeof source.then === 'function'){
+            source.then(value => {
+                next(value);
+                complete();
+            }, error);
+        }else{
+            dynx.dispose();
+            throw new Error(`[Dynx] Cannot create a Dynx from ${source}.`);
+        }
+        return dynx;
+    };
+}
@@ -0,0 +1,280 @@
+export function init(Dynx){
+    /**
+     * Stores persisted data by key. Any method may return a promise instead.
+     * @typedef {Object} Adapter
+     * @property {Function} load - Returns the data stored under a key, or undefined if none.
+     * @property {Function} save - Stores data, as a string, under a key.
+     * @property {Function} remove - Removes the data stored under a key.
+     */
+
+    /**
+     * Creates an adapter which stores data in memory.
+     * @param {Map} [map] - The map to store data in.
+     * @returns {Adapter} The adapter.
+     */
+    function memory(map=new Map()){
+        return {
+            load: key => map.get(key),
+            save: (key, data) => {
+                map.set(key, data);
+            },
+            remove: key => {
+                map.delete(key);
+            }
+        };
+    }
+
+    /**
+     * Creates an adapter which stores data in a Web Storage object, such as localStorage.
+     * @param {Storage} [storage=localStorage] - The storage.
+     * @returns {Adapter} The adapter.
+     */
+    function webStorage(storage=typeof localStorage !== 'undefined' ? localStorage : undefined){
+        if(!storage)
+            throw new Error('[Dynx] Web Storage is not available.');
+        return {
+            load: key => {
+                let data = storage.getItem(key);
+                return data === null ? undefined : data;
+            },
+            save: (key, data) => storage.setItem(key, data),
+            remove: key => storage.removeItem(key)
+        };
+    }
+
+    /**
+     * Creates an adapter which stores data in a JSON file, with a property for each key. The file system module is
+     * passed in, rather than required, so that browser builds don't depend on it. If the file is corrupt, its contents
+     * are loaded as they are, so that they can be migrated, and it is overwritten once saved to.
+     * @example Dynx.adapters.file('state.json', {fs: require('fs')})
+     * @param {string} path - The path of the file.
+     * @param {Object} options - Additional options.
+     * @param {Object} options.fs - The file system module to use, such as Node's fs.
+     * @returns {Adapter} The adapter.
+     */
+    function file(path, {fs}={}){
+        if(!fs)
+            throw new Error('[Dynx] The file adapter needs a file system module.');
+        //reads the contents of the file, and the data in it if not corrupt
+        let read = () => {
+            let contents = fs.existsSync(path) ? fs.readFileSync(path, 'utf8') : '{}';
+            let data;
+            try{
+                data = JSON.parse(contents);
+            }catch(err){
+                data = undefined;
+            }
+            if(data === null || typeof data !== 'object' || Array.isArray(data))
+                data = undefined;
+            return {contents, data};
+        };
+        let write = data => fs.writeFileSync(path, JSON.stringify(data, null, 2));
+        return {
+            load: key => {
+                let {contents, data} = read();
+                if(!data)
+                    return contents;
+                return key in data ? JSON.stringify(data[key]) : undefined;
+            },
+            save: (key, str) => {
+                let data = read().data || {};
+                data[key] = JSON.parse(str);
+                write(data);
+            },
+            remove: key => {
+                let data = read().data || {};
+                delete data[key];
+                write(data);
+            }
+        };
+    }
+
+    /**
+     * Built-in adapters for Dynx.persist.
+     * @type {Object<string, Function>}
+     */
+    Dynx.adapters = {memory, webStorage, file};
+
+    /**
+     * Calls a function with the result of another, waiting for it if a promise.
+     * @param {*|Promise} result - The result.
+     * @param {Function} func - The function.
+     * @returns {*|Promise} The return of the function, or a promise of it.
+     */
+    function then(result, func){
+        return result && typeof result.then === 'function' ? result.then(func) : func(result);
+    }
+
+    /**
+     * Keeps a Dynx in sync with its persisted value.
+     * @class
+     */
+    class Persistence {
+        /**
+         * Starts persisting a Dynx.
+         * @constructor
+         * @param {Dynx} dynx - The source Dynx.
+         * @param {Adapter} adapter - Stores the data.
+         * @param {string} key - The key to store under.
+         * @param {Object} [options] - Additional options, as for Dynx.persist.
+         */
+        constructor(dynx, adapter, key, {debounce=0, serialize=value => value, deserialize=value => value,
+                version=0, migrate, clock=Dynx.clock}={}){
+            this._dynx = dynx;
+            this._adapter = adapter;
+            this._key = key;
+            this._debounce = debounce;
+            this._serialize = serialize;
+            this._deserialize = deserialize;
+            this._version = version;
+            this._migrate = migrate;
+            this._clock = clock;
+            //true once the Dynx has been written, so that data loaded later does not overwrite it
+            this._isChanged = false;
+            this._listener = () => {
+                if(this._isLoading)
+                    return;
+                this._isChanged = true;
+                this._schedule();
+            };
+            dynx.on('update', this._listener);
+            this._disposeListener = () => this.dispose();
+            dynx._addListener('dispose-listeners', this._disposeListener);
+            /**
+             * Resolves once the persisted value has been loaded.
+             * @type {Promise}
+             */
+            this.loaded = Promise.resolve(this._catch(() => then(adapter.load(key), data => this._load(data))));
+        }
+
+        /**
+         * Reports errors from a function, or from the promise it returns, as uncaught errors of the Dynx.
+         * @private
+         * @param {Function} func - The function.
+         * @returns {*|Promise} The return of the function.
+         */
+        _catch(func){
+            let report = err => Dynx.onUncaughtError(err, this._dynx);
+            try{
+                let result = func();
+                if(result && typeof result.then === 'function')
+                    return result.then(undefined, report);
+                return result;
+            }catch(err){
+                report(err);
+            }
+        }
+
+        /**
+         * Applies loaded data to the Dynx. Corrupt data, or data from another version, is passed through migrate, and
+         * is discarded if there is no migrate.
+         * @private
+         * @param {string|undefined} data - The loaded data.
+         * @returns {*|Promise} Nothing, or a promise of saving migrated data.
+         */
+        _load(data){
+            if(data === undefined || this._isChanged || this._dynx.isDisposed)
+                return;
+            let stored;
+            try{
+                stored = JSON.parse(data);
+            }catch(err){
+                stored = undefined;
+            }
+            let isValid = stored !== null && typeof stored === 'object' && 'value' in stored;
+            if(isValid && stored.version === this._version){
+                this._write(this._deserialize(stored.value));
+                return;
+            }
+            if(!this._migrate)
+                return;
+            //corrupt data is passed as it was loaded
+            let value = isValid ? this._migrate(stored.value, stored.version) : this._migrate(data, undefined);
+            if(value === undefined)
+                return;
+            this._write(this._deserialize(value));
+            return this.save();
+        }
+
+        /**
+         * Writes a loaded value to the Dynx, without saving it again.
+         * @private
+         * @param {*} value - The value.
+         */
+        _write(value){
+            this._isLoading = true;
+            try{
+                this._dynx.value = value;
+            }finally{
+                this._isLoading = false;
+            }
+        }
+
+        /**
+         * Saves the Dynx after the debounce time.
+         * @private
+         */
+        _schedule(){
+            if(this._debounce <= 0){
+                this.save();
+                return;
+            }
+            if(this._timer !== undefined)
+                this._clock.clearTimeout(this._timer);
+            this._timer = this._clock.setTimeout(() => this.save(), this._debounce);
+        }
+
+        /**
+         * Saves the Dynx immediately, cancelling any pending save. INVALID values remove the persisted data instead.
+         * @returns {*|Promise} Nothing, or a promise which resolves once saved.
+         */
+        save(){
+            if(this._timer !== undefined){
+                this._clock.clearTimeout(this._timer);
+                this._timer = undefined;
+            }
+            let value = this._dynx._init_value;
+            return this._catch(() => {
+                if(value === Dynx.INVALID)
+                    return this._adapter.remove(this._key);
+                let data = JSON.stringify({version: this._version, value: this._serialize(value)});
+                return this._adapter.save(this._key, data);
+            });
+        }
+
+        /**
+         * Stops persisting the Dynx, saving any pending change first.
+         */
+        dispose(){
+            if(this._isDisposed)
+                return;
+            this._isDisposed = true;
+            if(this._timer !== undefined)
+                this.save();
+            this._dynx.off('update', this._listener);
+            this._dynx._removeListener('dispose-listeners', this._disposeListener);
+        }
+    }
+
+    /**
+     * Persists a source Dynx. The persisted value is loaded into the Dynx, unless it changes first, and each new value
+     * is saved. Errors are reported as uncaught errors of the Dynx.
+     * @param {Dynx} dynx - The source Dynx.
+     * @param {Adapter} adapter - Stores the data.
+     * @param {string} key - The key to store under.
+     * @param {Object} [options] - Additional options.
+     * @param {number} [options.debounce=0] - The time to wait for changes to stop before saving, in milliseconds.
+     * @param {Function} [options.serialize] - Converts a value to a JSON-serializable value.
+     * @param {Function} [options.deserialize] - Converts a JSON-serializable value back to a value.
+     * @param {*} [options.version=0] - The version of the data, saved along with it.
+     * @param {Function} [options.migrate] - Called with corrupt data or data from another version, and that version.
+     *     Returns the data upgraded to the current version, or undefined to discard it.
+     * @param {Clock} [options.clock=Dynx.clock] - The clock to debounce with.
+     * @returns {Persistence} The persistence, which can be disposed to stop persisting.
+     */
+    Dynx.persist = function(dynx, adapter, key, options){
+        if(dynx.isFinal || dynx.exp)
+            throw new Error('[Dynx] Can only persist source Dynxes.');
+        return new Persistence(dynx, adapter, key, options);
+    };
+}
@@ -0,0 +1,136 @@
+export function init(Dynx){
+    //maps raw objects to their proxies, and proxies back to their raw objects
+    const proxies = new WeakMap();
+    const raws = new WeakMap();
+    //maps raw objects to the Dynxes tracking their properties, created once an expression depends on them
+    const signals = new WeakMap();
+    //the key of the signal tracking which properties an object has
+    const KEYS = Symbol('keys');
+
+    /**
+     * Returns true if a value is wrapped when read from a reactive object.
+     * @param {*} value - The value.
+     * @returns {boolean} True if wrapped.
+     */
+    function isWrappable(value){
+        if(!value || typeof value !== 'object')
+            return false;
+        let proto = Object.getPrototypeOf(value);
+        return Array.isArray(value) || proto === Object.prototype || proto === null;
+    }
+
+    /**
+     * Gets the value of a property, or INVALID if absent.
+     * @param {Object} target - The raw object.
+     * @param {string|Symbol} key - The property, or KEYS for the properties themselves.
+     * @returns {*} The value.
+     */
+    function valueOf(target, key){
+        if(key === KEYS)
+            return Reflect.ownKeys(target);
+        return Reflect.has(target, key) ? Reflect.get(target, key) : Dynx.INVALID;
+    }
+
+    /**
+     * Makes the current expression depend on a property.
+     * @param {Object} target - The raw object.
+     * @param {string|Symbol} key - The property, or KEYS for the properties themselves.
+     */
+    function track(target, key){
+        if(!Dynx._isTracking())
+            return;
+        let slots = signals.get(target);
+        if(!slots)
+            signals.set(target, slots = new Map());
+        let slot = slots.get(key);
+        if(!slot){
+            //slots belong to their object, rather than the expression that first read them
+            Dynx.root(() => {
+                slot = new Dynx(valueOf(target, key), {equals: key === KEYS ? Dynx.equals.shallow : undefined});
+            });
+            slots.set(key, slot);
+        }
+        slot.value;
+    }
+
+    /**
+     * Updates the Dynxes tracking the given properties, in a single batch.
+     * @param {Object} target - The raw object.
+     * @param {Array} keys - The properties, or KEYS for the properties themselves.
+     */
+    function trigger(target, keys){
+        let slots = signals.get(target);
+        if(!slots)
+            return;
+        //arrays can gain or lose items through length, so every index may have changed
+        if(Array.isArray(target) && keys.includes('length'))
+            keys = [...slots.keys()];
+        Dynx.batch(() => {
+            for(let key of keys){
+                let slot = slots.get(key);
+                if(slot)
+                    slot.value = valueOf(target, key);
+            }
+        });
+    }
+
+    const handler = {
+        get(target, key, receiver){
+            track(target, key);
+            let value = Reflect.get(target, key, receiver);
+            return isWrappable(value) ? Dynx.reactive(value) : value;
+        },
+        has(target, key){
+            track(target, key);
+            return Reflect.has(target, key);
+        },
+        ownKeys(target){
+            track(target, KEYS);
+            return Reflect.ownKeys(target);
+        },
+        set(target, key, value){
+            let length = Array.isArray(target) ? target.length : undefined;
+            let result = Reflect.set(target, key, Dynx.toRaw(value));
+            let keys = [key, KEYS];
+            if(length !== undefined && length !== target.length)
+                keys.push('length');
+            trigger(target, keys);
+            return result;
+        },
+        deleteProperty(target, key){
+            let result = Reflect.deleteProperty(target, key);
+            trigger(target, [key, KEYS]);
+            return result;
+        }
+    };
+
+    /**
+     * Makes an object reactive. Reading a property of the returned proxy inside an expression makes the expression
+     * depend on that property alone, and writing a property only updates the expressions which read it. Nested plain
+     * objects and arrays are made reactive when read.
+     * @param {Object} obj - The object.
+     * @returns {Proxy} The reactive proxy. The same object always has the same proxy.
+     */
+    Dynx.reactive = function(obj){
+        if(!obj || typeof obj !== 'object')
+            throw new Error(`[Dynx] Cannot make ${obj} reactive.`);
+        if(raws.has(obj))
+            return obj;
+        let proxy = proxies.get(obj);
+        if(!proxy){
+            proxy = new Proxy(obj, handler);
+            proxies.set(obj, proxy);
+            raws.set(proxy, obj);
+        }
+        return proxy;
+    };
+
+    /**
+     * Unwraps a reactive proxy. Reading or writing the raw object is not tracked.
+     * @param {*} value - The proxy.
+     * @returns {*} The raw object, or the value itself if not a proxy.
+     */
+    Dynx.toRaw = function(value){
+        return value && typeof value === 'object' && raws.has(value) ? raws.get(value) : value;
+    };
+}
@@ -0,0 +1,40 @@
+/**
+ * Decides when Dynxes update after their parents change.
+ * @typedef {Object} Scheduler
+ * @property {Function} schedule - Arranges for the given flush function to be called. The flush function never
+ *     throws, since errors from flushing are passed to Dynx.onUncaughtError.
+ */
+
+/**
+ * Updates immediately, as part of the change that caused it. This is the default.
+ * @type {Scheduler}
+ */
+export const sync = {
+    schedule(flush){
+        flush();
+    }
+};
+
+/**
+ * Updates once all synchronous code has finished, coalescing every change made until then.
+ * @type {Scheduler}
+ */
+export const microtask = {
+    schedule(flush){
+        Promise.resolve().then(flush);
+    }
+};
+
+/**
+ * Updates before the next animation frame, coalescing every change made until then. Outside of browsers, updates
+ * after a frame's worth of time.
+ * @type {Scheduler}
+ */
+export const animationFrame = {
+    schedule(flush){
+        if(typeof requestAnimationFrame === 'function')
+            requestAnimationFrame(() => flush());
+        else
+            setTimeout(flush, 16);
+    }
+};
@@ -0,0 +1,135 @@
+export function init(Dynx){
+    /**
+     * A snapshot of the values of a registry, which is JSON-serializable. Each value is stored as {value} or, if
+     * INVALID, as {invalid: true}.
+     * @typedef {Object<string, {value: *, invalid: boolean}>} Snapshot
+     */
+
+    /**
+     * Converts the values of a registered Dynx to and from JSON-serializable values.
+     * @typedef {Object} Serializer
+     * @property {Function} [serialize] - Converts a value to a JSON-serializable value.
+     * @property {Function} [deserialize] - Converts a JSON-serializable value back to a value.
+     */
+
+    /**
+     * A registry of named source Dynxes, whose values can be captured and restored.
+     * @class
+     */
+    class DynxRegistry {
+        /**
+         * Creates a new registry.
+         * @constructor
+         * @param {Object<string, Dynx>} [dynxes] - Dynxes to register, by name.
+         */
+        constructor(dynxes={}){
+            this._entries = new Map();
+            for(let name of Object.keys(dynxes))
+                this.register(name, dynxes[name]);
+        }
+
+        /**
+         * Registers a Dynx.
+         * @param {string} name - The name to register under.
+         * @param {Dynx} dynx - The Dynx.
+         * @param {Serializer} [serializer] - Converts its values, defaults to using them directly.
+         * @return {DynxRegistry} This for chaining.
+         */
+        register(name, dynx, {serialize=value => value, deserialize=value => value}={}){
+            if(!(dynx instanceof Dynx))
+                throw new Error(`[Dynx] Can only register Dynxes, not ${dynx}.`);
+            if(this._entries.has(name))
+                throw new Error(`[Dynx] ${name} is already registered.`);
+            this._entries.set(name, {dynx, serialize, deserialize});
+            return this;
+        }
+
+        /**
+         * Unregisters a Dynx.
+         * @param {string} name - The name it was registered under.
+         * @returns {boolean} True if it was registered.
+         */
+        unregister(name){
+            return this._entries.delete(name);
+        }
+
+        /**
+         * Gets a registered Dynx.
+         * @param {string} name - The name it was registered under.
+         * @returns {Dynx|undefined} The Dynx, if registered.
+         */
+        get(name){
+            let entry = this._entries.get(name);
+            return entry && entry.dynx;
+        }
+
+        /**
+         * Iterates over the registered names and Dynxes.
+         * @returns {Iterator} The iterator of [name, dynx] pairs.
+         */
+        [Symbol.iterator](){
+            return [...this._entries].map(([name, {dynx}]) => [name, dynx])[Symbol.iterator]();
+        }
+    }
+
+    /**
+     * Returns true if a Dynx can be captured and restored, warning if not.
+     * @param {string} name - The name of the Dynx.
+     * @param {Dynx} dynx - The Dynx.
+     * @returns {boolean} True if a source.
+     */
+    function checkSource(name, dynx){
+        let reason;
+        if(dynx.isConstant)
+            reason = 'it is constant';
+        else if(dynx.isFinal)
+            reason = 'it is a finalized expression';
+        else if(dynx.exp)
+            reason = 'it is an expression';
+        if(reason)
+            console.warn(`[Dynx] Skipping ${name}, since ${reason}.`);
+        return !reason;
+    }
+
+    /**
+     * Creates a new registry of named Dynxes.
+     * @param {Object<string, Dynx>} [dynxes] - Dynxes to register, by name.
+     * @returns {DynxRegistry} The new registry.
+     */
+    Dynx.registry = function(dynxes){
+        return new DynxRegistry(dynxes);
+    };
+
+    /**
+     * Captures the values of every source Dynx in a registry. Other Dynxes are skipped with a warning.
+     * @param {DynxRegistry} registry - The registry.
+     * @returns {Snapshot} The snapshot.
+     */
+    Dynx.snapshot = function(registry){
+        let snapshot = {};
+        for(let [name, {dynx, serialize}] of registry._entries){
+            if(!checkSource(name, dynx))
+                continue;
+            let value = dynx._init_value;
+            snapshot[name] = value === Dynx.INVALID ? {invalid: true} : {value: serialize(value)};
+        }
+        return snapshot;
+    };
+
+    /**
+     * Restores the values of every source Dynx in a registry from a snapshot, in a single batch, so that dependents
+     * update once. Other Dynxes are skipped with a warning, and Dynxes missing from the snapshot are left unchanged.
+     * @param {DynxRegistry} registry - The registry.
+     * @param {Snapshot} snapshot - The snapshot.
+     */
+    Dynx.hydrate = function(registry, snapshot){
+        Dynx.batch(() => {
+            for(let [name, {dynx, deserialize}] of registry._entries){
+                if(!Object.prototype.hasOwnProperty.call(snapshot, name) || !checkSource(name, dynx))
+                    continue;
+                let entry = snapshot[name];
+                dynx.value = entry.invalid ? Dynx.INVALID : deserialize(entry.value);
+            }
+        });
+    };
+}
@@ -0,0 +1,154 @@
+export function init(Dynx){
+    /**
+     * A source of time for time-based Dynxes. Replace it to control time in tests.
+     * @typedef {Object} Clock
+     * @property {Function} now - Returns the current time in milliseconds.
+     * @property {Function} setTimeout - Calls a function after a delay in milliseconds, returning a timer id.
+     * @property {Function} clearTimeout - Cancels a timer by id.
+     */
+
+    /**
+     * The default clock, which uses real timers.
+     * @type {Clock}
+     */
+    const realClock = {
+        now: () => Date.now(),
+        setTimeout: (func, ms) => setTimeout(func, ms),
+        clearTimeout: id => clearTimeout(id)
+    };
+
+    /**
+     * The clock used by time-based Dynxes unless one is passed explicitly.
+     * @type {Clock}
+     */
+    Dynx.clock = realClock;
+
+    /**
+     * Sets up a listener on a timed Dynx's source.
+     * @callback TimedSetup
+     * @param {Function} emit - Sets the value of the timed Dynx.
+     * @param {Clock} clock - The clock to use.
+     * @returns {{listener: Function, stop: Function}} The listener for the source, and a function to stop all timers.
+     */
+
+    /**
+     * Creates a read-only Dynx whose value is emitted by a listener on the source.
+     * @param {Dynx} source - The source Dynx.
+     * @param {Dynx} trigger - The Dynx to listen to.
+     * @param {Clock} [clock] - The clock to use.
+     * @param {TimedSetup} setup - Sets up the listener.
+     * @returns {Dynx} The timed Dynx.
+     */
+    function createTimed(source, trigger, clock=Dynx.clock, setup){
+        return Dynx._driven(Dynx.immune(() => source.value), emit => {
+            let {listener, stop} = setup(emit, clock);
+            return {listeners: [[trigger, 'update', listener]], stop};
+        });
+    }
+
+    /**
+     * Creates a new debounced Dynx, which only takes this Dynx's value once it stops changing for the given time.
+     * @param {number} ms - The time to wait, in milliseconds.
+     * @param {Object} [options] - Additional options.
+     * @param {Clock} [options.clock=Dynx.clock] - The clock to use.
+     * @returns {Dynx} A new debounced Dynx.
+     */
+    Dynx.prototype.debounce = function(ms, {clock}={}){
+        return createTimed(this, this, clock, (emit, clock) => {
+            let timer;
+            return {
+                listener: value => {
+                    if(timer !== undefined)
+                        clock.clearTimeout(timer);
+                    timer = clock.setTimeout(() => {
+                        timer = undefined;
+                        emit(value);
+                    }, ms);
+                },
+                stop: () => {
+                    if(timer !== undefined)
+                        clock.clearTimeout(timer);
+                }
+            };
+        });
+    };
+
+    /**
+     * Creates a new throttled Dynx, which takes this Dynx's value at most once per the given time. The first change
+     * is taken immediately, and the last change is taken once the time has passed.
+     * @param {number} ms - The minimum time between changes, in milliseconds.
+     * @param {Object} [options] - Additional options.
+     * @param {Clock} [options.clock=Dynx.clock] - The clock to use.
+     * @returns {Dynx} A new throttled Dynx.
+     */
+    Dynx.prototype.throttle = function(ms, {clock}={}){
+        return createTimed(this, this, clock, (emit, clock) => {
+            let timer;
+            let pending;
+            let hasPending = false;
+            let wait = () => {
+                timer = clock.setTimeout(() => {
+                    timer = undefined;
+                    if(hasPending){
+                        hasPending = false;
+                        emit(pending);
+                        wait();
+                    }
+                }, ms);
+            };
+            return {
+                listener: value => {
+                    if(timer === undefined){
+                        emit(value);
+                        wait();
+                    }else{
+                        pending = value;
+                        hasPending = true;
+                    }
+                },
+                stop: () => {
+                    if(timer !== undefined)
+                        clock.clearTimeout(timer);
+                }
+            };
+        });
+    };
+
+    /**
+     * Creates a new delayed Dynx, which takes each of this Dynx's values after the given time.
+     * @param {number} ms - The delay, in milliseconds.
+     * @param {Object} [options] - Additional options.
+     * @param {Clock} [options.clock=Dynx.clock] - The clock to use.
+     * @returns {Dynx} A new delayed Dynx.
+     */
+    Dynx.prototype.delay = function(ms, {clock}={}){
+        return createTimed(this, this, clock, (emit, clock) => {
+            let timers = new Set();
+            return {
+                listener: value => {
+                    let timer = clock.setTimeout(() => {
+                        timers.delete(timer);
+                        emit(value);
+                    }, ms);
+                    timers.add(timer);
+                },
+                stop: () => {
+                    for(let timer of timers)
+                        clock.clearTimeout(timer);
+                }
+            };
+        });
+    };
+
+    /**
+     * Creates a new sampled Dynx, which only takes this Dynx's value when the other Dynx updates.
+     * @param {Dynx} other - The Dynx to sample on.
+     * @returns {Dynx} A new sampled Dynx.
+     */
+    Dynx.prototype.sample = function(other){
+        return createTimed(this, other, undefined, emit => ({
+            listener: () => emit(Dynx.immune(() => this.value)),
+            stop: () => {}
+        }));
+    };
+}
@@ -0,0 +1,216 @@
+/**
+ * A traced update of a single Dynx.
+ * @typedef {Object} TraceEntry
+ * @property {Dynx} dynx - The updated Dynx.
+ * @property {string|undefined} name - The name of the Dynx.
+ * @property {string} reason - Why it updated: write, parent or update (an explicit call).
+ * @property {*} oldValue - The value before updating.
+ * @property {*} newValue - The value after updating.
+ * @property {boolean} changed - True if the value changed.
+ * @property {*} [error] - The error, if the update errored.
+ * @property {{total: number, expression: number, filters: number}} time - The time taken, in milliseconds.
+ * @property {Object<string, number>} events - The number of listeners called for each event.
+ * @property {TraceEntry[]} children - The updates caused by this one.
+ */
+
+/**
+ * Gets the current time in milliseconds, as precisely as possible.
+ * @returns {number} The time.
+ */
+function now(){
+    if(typeof performance !== 'undefined')
+        return performance.now();
+    return Date.now();
+}
+
+/**
+ * Describes a value as a short string.
+ * @param {*} value - The value.
+ * @returns {string} The description.
+ */
+function describe(value){
+    if(typeof value === 'symbol')
+        return value.toString();
+    if(typeof value === 'string')
+        return JSON.stringify(value);
+    if(typeof value === 'function')
+        return `function ${value.name}`.trim();
+    if(Array.isArray(value))
+        return `Array(${value.length})`;
+    if(value && typeof value === 'object')
+        return value.constructor && value.constructor.name || 'Object';
+    return String(value);
+}
+
+/**
+ * Records propagation waves as trees of updates.
+ * @class
+ */
+export class Tracer {
+    /**
+     * Creates a new tracer.
+     * @constructor
+     * @param {Object} [options] - Additional options.
+     * @param {boolean} [options.print=false] - True to print each wave to the console once it completes, instead of
+     *     recording it.
+     */
+    constructor({print=false}={}){
+        /**
+         * The recorded waves, one root entry per wave.
+         * @type {TraceEntry[]}
+         */
+        this.waves = [];
+        this._print = print;
+        //the entries currently updating
+        this._stack = [];
+        //maps queued Dynxes to the entries that queued them
+        this._causes = new Map();
+    }
+
+    /**
+     * Gets the current entry for a Dynx.
+     * @private
+     * @param {Dynx} dynx - The Dynx.
+     * @returns {TraceEntry|undefined} The entry, if currently updating.
+     */
+    _entryOf(dynx){
+        for(let i = this._stack.length - 1; i >= 0; i--){
+            if(this._stack[i].dynx === dynx)
+                return this._stack[i];
+        }
+    }
+
+    /**
+     * Records the start of an update.
+     * @param {Dynx} dynx - The updating Dynx.
+     * @returns {TraceEntry} The new entry.
+     */
+    begin(dynx){
+        let cause = this._causes.get(dynx);
+        this._causes.delete(dynx);
+        let reason = cause ? 'parent' : dynx._exp ? 'update' : 'write';
+        let parent = cause || this._stack[this._stack.length - 1];
+        let entry = {
+            dynx,
+            name: dynx.name,
+            reason,
+            oldValue: dynx._value,
+            newValue: undefined,
+            changed: false,
+            time: {total: 0, expression: 0, filters: 0},
+            events: {},
+            children: []
+        };
+        if(parent)
+            parent.children.push(entry);
+        Object.defineProperty(entry, '_start', {value: now()});
+        Object.defineProperty(entry, '_isRoot', {value: !parent});
+        this._stack.push(entry);
+        return entry;
+    }
+
+    /**
+     * Records the end of an update.
+     * @param {TraceEntry} entry - The entry returned by begin.
+     */
+    end(entry){
+        let dynx = entry.dynx;
+        this._stack.splice(this._stack.lastIndexOf(entry), 1);
+        entry.time.total = now() - entry._start;
+        entry.newValue = dynx._value;
+        entry.changed = !dynx.equals(entry.oldValue, entry.newValue);
+        if('_error' in dynx)
+            entry.error = dynx._error;
+        if(entry._isRoot){
+            if(this._print)
+                console.log(Tracer.format(entry));
+            else
+                this.waves.push(entry);
+        }
+    }
+
+    /**
+     * Records that a Dynx was queued by the current update.
+     * @param {Dynx} dynx - The queued Dynx.
+     */
+    queued(dynx){
+        let cause = this._stack[this._stack.length - 1];
+        if(cause && !this._causes.has(dynx))
+            this._causes.set(dynx, cause);
+    }
+
+    /**
+     * Records time spent evaluating a Dynx.
+     * @param {Dynx} dynx - The Dynx.
+     * @param {string} kind - Either expression or filters.
+     * @param {number} start - The time evaluation started.
+     */
+    time(dynx, kind, start){
+        let entry = this._entryOf(dynx);
+        if(entry)
+            entry.time[kind] += now() - start;
+    }
+
+    /**
+     * Records listeners called for an event.
+     * @param {Dynx} dynx - The Dynx.
+     * @param {string} event - The event.
+     * @param {number} count - The number of listeners called.
+     */
+    fired(dynx, event, count){
+        let entry = this._entryOf(dynx);
+        if(entry)
+            entry.events[event] = (entry.events[event] || 0) + count;
+    }
+
+    /**
+     * Returns the current time, for use with time.
+     * @returns {number} The time.
+     */
+    now(){
+        return now();
+    }
+
+    /**
+     * Formats all recorded waves as a readable report.
+     * @returns {string} The report.
+     */
+    report(){
+        return this.waves.map(Tracer.format).join('\n\n');
+    }
+
+    /**
+     * Prints all recorded waves to the console.
+     */
+    print(){
+        console.log(this.report());
+    }
+
+    /**
+     * Formats a wave as a readable tree.
+     * @param {TraceEntry} entry - The root entry of the wave.
+     * @returns {string} The formatted tree.
+     */
+    static format(entry){
+        let lines = [];
+        let visit = (entry, depth) => {
+            let time = `${entry.time.total.toFixed(3)}ms`;
+            if(entry.time.expression || entry.time.filters)
+                time += `, exp ${entry.time.expression.toFixed(3)}ms, filters ${entry.time.filters.toFixed(3)}ms`;
+            let events = Object.keys(entry.events).map(event => `${event}x${entry.events[event]}`).join(' ');
+            let change = entry.changed ?
+                `${describe(entry.oldValue)} -> ${describe(entry.newValue)}` :
+                `${describe(entry.newValue)} (unchanged)`;
+            let line = `${'  '.repeat(depth)}${entry.name || '<anonymous>'} (${entry.reason}) ${change} [${time}]`;
+            if(entry.error !== undefined)
+                line += ` error: ${entry.error}`;
+            if(events)
+                line += ` ${events}`;
+            lines.push(line);
+            for(let child of entry.children)
+                visit(child, depth + 1);
+        };
+        visit(entry, 0);
+        return lines.join('\n');
+    }
+}
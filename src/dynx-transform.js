@@ -15,25 +15,86 @@ export function init(Dynx){
      * @returns {*} The transformed value.
      */
 
+    /**
+     * The result of a conditional. Dynxes are resolved, and only subscribed to while their branch is taken. Functions
+     * are called with the tested value, and their return is used.
+     * @typedef {*|Dynx|Function} Then
+     */
+
+    /**
+     * A range of values, for matching a case.
+     * @class
+     */
+    class Range {
+        /**
+         * Creates a new range.
+         * @constructor
+         * @param {*} [min] - The lowest value, inclusive. If undefined, there is no lowest value.
+         * @param {*} [max] - The highest value, inclusive. If undefined, there is no highest value.
+         */
+        constructor(min, max){
+            this.min = min;
+            this.max = max;
+        }
+
+        /**
+         * Returns true if the value is in this range.
+         * @param {*} value - The value.
+         * @returns {boolean} True if in range.
+         */
+        includes(value){
+            return (this.min === undefined || value >= this.min) && (this.max === undefined || value <= this.max);
+        }
+    }
+
+    /**
+     * Creates a range of values, for matching a case.
+     * @param {*} [min] - The lowest value, inclusive. If undefined, there is no lowest value.
+     * @param {*} [max] - The highest value, inclusive. If undefined, there is no highest value.
+     * @returns {Range} The range.
+     */
+    Dynx.range = function(min, max){
+        return new Range(min, max);
+    };
+
+    /**
+     * Tests if a value matches a case. Dynxes are resolved, functions are used as predicates, arrays match if any of
+     * their items match, RegExps match strings, ranges match values in range, and anything else must be ===.
+     * @param {*} value - The value.
+     * @param {*|Dynx|Function|Array|RegExp|Range} matcher - The case to match.
+     * @returns {boolean} True if matched.
+     */
+    function matches(value, matcher){
+        matcher = resolve(matcher);
+        if(typeof matcher === 'function')
+            return Boolean(matcher(value));
+        if(Array.isArray(matcher))
+            return matcher.some(item => matches(value, item));
+        if(matcher instanceof RegExp)
+            return typeof value === 'string' && value.search(matcher) != -1;
+        if(matcher instanceof Range)
+            return matcher.includes(value);
+        return value === matcher;
+    }
+
     /**
      * Creates a condition.
      * Note: If called with one parameter, the parameter becomes the "then" and the condition becomes a truthy test.
      * @this Dynx
      * @param {Condition|*} condition - The condition to test.
-     * @param {*} [then] - The result to return on success.
+     * @param {Then} [then] - The result to return on success.
      * @returns {Dynx} This conditional for chaining.
      */
     function ifFunc(condition, then){
         if(arguments.length == 1){
             return ifFunc.call(this, x => Boolean(x), ...arguments);
         }
+        let ifThens = [...this._ifThens, {condition, then}];
         //if static, we need to recreate to "change"
         if(this.isFinal){
-            let thens = [...this._ifThens];
-            this._ifThens.push({condition, then});
-            return createCond(this._parent, thens, this._elseThen);
+            return recreate(this, {ifThens});
         }else{
-            this._ifThens.push({condition, then});
+            this._ifThens = ifThens;
             this.update();
         }
         return this;
@@ -44,7 +105,7 @@ export function init(Dynx){
      * Note: If called with one parameter, the parameter becomes the "then" and the condition becomes a falsey test.
      * @this Dynx
      * @param {Condition|*} condition - The condition to inversely test.
-     * @param {*} [then] - The result to return on success.
+     * @param {Then} [then] - The result to return on success.
      * @returns {Dynx} This conditional for chaining.
      */
     function ifNotFunc(condition, then){
@@ -58,51 +119,111 @@ export function init(Dynx){
     /**
      * Sets the else value.
      * @this Dynx
-     * @param {*} then - The value to return if all conditions fail.
+     * @param {Then} then - The value to return if all conditions fail.
      * @returns {Dynx} This conditional for chaining.
      */
     function elseFunc(then){
         //if static, we need to recreate to "change"
         if(this.isFinal){
-            return createCond(this._parent, this._ifThens, then);
+            return recreate(this, {elseThen: then, hasElse: true});
         }else{
             this._elseThen = then;
+            this._hasElse = true;
             this.update();
         }
         return this;
     }
 
+    /**
+     * Makes unmatched values an error, which puts the conditional into the error state. INVALID values are never
+     * errors.
+     * @this Dynx
+     * @returns {Dynx} This conditional for chaining.
+     */
+    function exhaustiveFunc(){
+        //if static, we need to recreate to "change"
+        if(this.isFinal){
+            return recreate(this, {isExhaustive: true});
+        }else{
+            this._isExhaustive = true;
+            this.update();
+        }
+        return this;
+    }
+
+    /**
+     * Resolves the result of a taken branch.
+     * @param {Then} then - The result.
+     * @param {*} value - The tested value.
+     * @returns {*} The resolved result.
+     */
+    function resolveThen(then, value){
+        if(typeof then === 'function')
+            return then(value);
+        return resolve(then);
+    }
+
     /** @this Dynx */
     function expression(){
+        //once read, the conditional is no longer lazy unless Dynxes are by default
+        if(this._isLazyUntilRead){
+            delete this._isLazyUntilRead;
+            delete this._isLazy;
+        }
         let value = this._parent.value;
-        if(this._ifThens){
-            for(let {condition, then} of this._ifThens){
-                if(condition(value)) {
-                    return then;
-                }
+        for(let {condition, then} of this._ifThens){
+            if(condition(value)) {
+                return resolveThen(then, value);
             }
         }
-        return this._elseThen;
+        if(this._hasElse)
+            return resolveThen(this._elseThen, value);
+        if(this._isExhaustive){
+            if(value === Dynx.INVALID)
+                return Dynx.INVALID;
+            throw new Error(`[Dynx] Unmatched value ${String(value)}.`);
+        }
+        return undefined;
     }
 
-    function createCond(parentDynx, _ifThens=[], _elseThen=undefined){
-        let cond = new Dynx();
+    //the methods of each kind of conditional
+    const condMethods = {
+        if: {if: ifFunc, ifnot: ifNotFunc, else: elseFunc, exhaustive: exhaustiveFunc},
+        switch: {case: caseFunc, default: elseFunc, exhaustive: exhaustiveFunc}
+    };
+
+    function createCond(parentDynx, {kind='if', ifThens=[], elseThen=undefined, hasElse=false,
+            isExhaustive=false}={}){
+        //nothing is evaluated until first read, since chaining replaces each conditional before the last is used
+        let cond = new Dynx(undefined, {lazy: true});
+        cond._isLazyUntilRead = true;
         cond._parent = parentDynx;
-        cond._ifThens = _ifThens;
-        cond._elseThen = _elseThen;
-        cond.if = ifFunc;
-        cond.ifnot = ifNotFunc;
-        cond.else = elseFunc;
+        cond._kind = kind;
+        cond._ifThens = ifThens;
+        cond._elseThen = elseThen;
+        cond._hasElse = hasElse;
+        cond._isExhaustive = isExhaustive;
+        Object.assign(cond, condMethods[kind]);
         cond.finalize(expression);
         return cond;
     }
 
+    function recreate(cond, changes){
+        return createCond(cond._parent, Object.assign({
+            kind: cond._kind,
+            ifThens: cond._ifThens,
+            elseThen: cond._elseThen,
+            hasElse: cond._hasElse,
+            isExhaustive: cond._isExhaustive
+        }, changes));
+    }
+
     /**
      * Creates a new if-conditional Dynx with the given condition.
      * Note: If called with one parameter, the parameter becomes the "then" and the condition becomes a truthy test.
      * @this Dynx
      * @param {Condition|*} condition - The condition to test.
-     * @param {*} [then] - The result to return on success.
+     * @param {Then} [then] - The result to return on success.
      * @returns {Dynx} This conditional for chaining.
      */
     Dynx.prototype.if = function(condition, then){
@@ -114,42 +235,30 @@ export function init(Dynx){
      * Note: If called with one parameter, the parameter becomes the "then" and the condition becomes a falsey test.
      * @this Dynx
      * @param {Condition|*} condition - The condition to inversely test.
-     * @param {*} [then] - The result to return on success.
+     * @param {Then} [then] - The result to return on success.
      * @returns {Dynx} This conditional for chaining.
      */
     Dynx.prototype.ifnot = function(condition, then){
         return createCond(this).ifnot(...arguments);
     };
 
+    /**
+     * Creates a case.
+     * @this Dynx
+     * @param {*|Dynx|Function|Array|RegExp|Range} value - The value to match, as described by matches.
+     * @param {Then} then - The result to return on success.
+     * @returns {Dynx} This conditional for chaining.
+     */
+    function caseFunc(value, then){
+        return ifFunc.call(this, x => matches(x, value), then);
+    }
+
     /**
      * Creates a new switch-conditional Dynx.
      * @returns {Dynx} A new switch-conditional Dynx.
      */
     Dynx.prototype.switch = function(){
-        let cond = createCond(this);
-        delete cond.if;
-        delete cond.ifnot;
-        delete cond.else;
-        /**
-         * Creates a case.
-         * @this Dynx
-         * @param {*|Dynx} value - The value to match.
-         * @param {*} then - The result to return on success.
-         * @returns {Dynx} This conditional for chaining.
-         */
-        cond.case = function(value, then){
-            return ifFunc.call(this, x => x === resolve(value), then);
-        };
-        /**
-         * Sets the default case.
-         * @this Dynx
-         * @param {*} then - The value to return if all matches fail.
-         * @returns {Dynx} This conditional for chaining.
-         */
-        cond.default = function(then){
-            return elseFunc.call(this, then);
-        };
-        return cond;
+        return createCond(this, {kind: 'switch'});
     };
 
     /**
@@ -162,12 +271,63 @@ export function init(Dynx){
     };
 
     /**
-     * Creates a new attribute Dynx.
-     * @param {(string|Dynx)[]} keys - The attribute to get on the value.
+     * Creates a new writable derived Dynx. Its value comes from the getter, which is tracked like any expression, and
+     * writing its value calls the setter instead. Without a setter, the Dynx is read-only.
+     * @param {Object} accessors - The accessors.
+     * @param {Expression} accessors.get - The getter.
+     * @param {Function} [accessors.set] - The setter, called with the written value.
+     * @param {Object} [options] - Additional options, as for the constructor.
+     * @returns {Dynx} A new computed Dynx.
+     */
+    Dynx.computed = function({get, set}={}, options){
+        if(typeof get !== 'function')
+            throw new Error(`[Dynx] Get must be a function, not ${get}.`);
+        if(set !== undefined && typeof set !== 'function')
+            throw new Error(`[Dynx] Set must be a function, not ${set}.`);
+        let dynx = new Dynx(undefined, options);
+        if(set)
+            dynx._setter = set;
+        return dynx.finalize(get);
+    };
+
+    /**
+     * Returns a copy of an object with the value at the given path replaced, copying every object along the path. If
+     * mutating, the objects are changed in place instead.
+     * @param {*} obj - The object.
+     * @param {*[]} keys - The resolved path.
+     * @param {*} value - The new value.
+     * @param {boolean} mutate - True to change the objects in place.
+     * @returns {*} The new object.
+     */
+    function setPath(obj, keys, value, mutate){
+        if(keys.length == 0)
+            return value;
+        let [key, ...rest] = keys;
+        if(obj == null || obj === Dynx.INVALID)
+            throw new Error(`[Dynx] Cannot set attribute ${String(key)} of ${String(obj)}.`);
+        let child = setPath(obj[key], rest, value, mutate);
+        if(!mutate){
+            let copy = Array.isArray(obj) ? obj.slice() : Object.assign(Object.create(Object.getPrototypeOf(obj)), obj);
+            copy[key] = child;
+            return copy;
+        }
+        obj[key] = child;
+        return obj;
+    }
+
+    /**
+     * Creates a new attribute Dynx. Writing its value sets the attribute on this Dynx's value, by replacing it with an
+     * updated copy, or by changing it in place if mutating. Only attributes of sources and writable derived Dynxes can
+     * be written, since writing an expression's value would replace the expression.
+     * Note: Mutating Dynxes are never considered equal, since their objects change in place.
+     * @param {...(string|Dynx)} keys - The attribute to get on the value.
+     * @param {Object} [options] - Additional options, if the last argument is a plain object.
+     * @param {boolean} [options.mutate=false] - True to change the value in place when written.
      * @returns {Dynx} A new attribute Dynx.
      */
     Dynx.prototype.attr = function(...keys){
-        let trans = new Dynx();
+        let {mutate=false} = isOptions(keys[keys.length - 1]) ? keys.pop() : {};
+        let trans = new Dynx(undefined, mutate ? {equals: () => false} : undefined);
         trans.exp = () => {
             let obj = this.value;
             if(obj === Dynx.INVALID)
@@ -179,6 +339,22 @@ export function init(Dynx){
             }
             return obj;
         };
+        trans._setter = value => {
+            if(this._exp && !this._setter)
+                throw new Error('[Dynx] Cannot change the value of an expression Dynx.');
+            let obj = this.value;
+            let path = keys.map(resolve);
+            if(!mutate){
+                this.value = setPath(obj, path, value, false);
+            }else{
+                setPath(obj, path, value, true);
+                //writable parents pass the change on, while sources need to be told that their value changed
+                if(this._setter)
+                    this.value = obj;
+                else
+                    this.update(true);
+            }
+        };
         trans.finalize();
         return trans;
     };
@@ -202,8 +378,183 @@ export function init(Dynx){
         return trans;
     };
 
+    /**
+     * Creates a new accumulating Dynx. Each value of this Dynx is combined into the accumulated value by the reducer,
+     * starting from the seed. INVALID values, and errors from this Dynx, are skipped.
+     * @param {Function} reducer - Called with the accumulated value and the new value, returns the new accumulated
+     *     value.
+     * @param {*} [seed=undefined] - The initial accumulated value.
+     * @returns {Dynx} A new accumulating Dynx.
+     */
+    Dynx.prototype.scan = function(reducer, seed=undefined){
+        //kept apart from the value, which errors from the reducer replace with INVALID
+        let acc = seed;
+        //lazy Dynxes can skip values, which would be lost from the accumulated value
+        return new Dynx(seed, {lazy: false}).finalize(() => {
+            if(this.isErrored)
+                return acc;
+            let value = this.value;
+            if(value !== Dynx.INVALID)
+                acc = reducer(acc, value);
+            return acc;
+        });
+    };
+
+    /**
+     * Creates a new Dynx of the last two values of this Dynx, as [previous, current]. It is INVALID until this Dynx
+     * changes.
+     * @returns {Dynx} A new pairwise Dynx.
+     */
+    Dynx.prototype.pairwise = function(){
+        let isFirst = true;
+        let last;
+        return new Dynx(Dynx.INVALID, {lazy: false}).finalize(pair => {
+            let value = this.value;
+            if(isFirst){
+                isFirst = false;
+                last = value;
+                return Dynx.INVALID;
+            }
+            //updates which didn't change the value keep the same pair
+            if(this.equals(last, value))
+                return pair;
+            pair = [last, value];
+            last = value;
+            return pair;
+        });
+    };
+
+    /**
+     * Gets a Dynx of the value this Dynx had before it last changed. It is INVALID until this Dynx changes.
+     * @this Dynx
+     * @returns {Dynx} The previous Dynx. The same Dynx always has the same previous Dynx.
+     */
+    Object.defineProperty(Dynx.prototype, 'previous', {
+        get(){
+            if(!this._previous){
+                //belongs to this Dynx, rather than whatever first read it
+                Dynx.root(() => {
+                    this._previous = this.pairwise().transform(pair => pair === Dynx.INVALID ? pair : pair[0]);
+                });
+            }
+            return this._previous;
+        },
+        configurable: true
+    });
+
+    /**
+     * Creates a new Dynx which only updates when this Dynx's value changes according to the comparator.
+     * @param {Comparator} [equals=Dynx.equals.deep] - The comparator used to detect changes.
+     * @returns {Dynx} A new distinct Dynx.
+     */
+    Dynx.prototype.distinct = function(equals=Dynx.equals.deep){
+        return new Dynx(undefined, {equals}).finalize(() => this.value);
+    };
+
+    /**
+     * Creates a new Dynx which keeps the last valid value of this Dynx while it is INVALID or errored.
+     * @returns {Dynx} A new holding Dynx, which is INVALID until this Dynx is first valid.
+     */
+    Dynx.prototype.hold = function(){
+        //lazy Dynxes can skip values, so the last valid one could be missed
+        return new Dynx(Dynx.INVALID, {lazy: false}).finalize(last => {
+            if(this.isErrored)
+                return last;
+            let value = this.value;
+            return value === Dynx.INVALID ? last : value;
+        });
+    };
+
+    /**
+     * Creates a new Dynx of the values of a list or object of Dynxes. Items which are not Dynxes are used as they are.
+     * @param {Array|Object} items - The Dynxes, in a list or by key.
+     * @returns {Dynx} A new Dynx of the values in a list or by key, or INVALID if any is INVALID.
+     */
+    Dynx.all = function(items){
+        let isList = Array.isArray(items);
+        let keys = Object.keys(items);
+        return Dynx(() => {
+            let values = isList ? [] : {};
+            for(let key of keys){
+                let value = resolve(items[key]);
+                if(value === Dynx.INVALID)
+                    return Dynx.INVALID;
+                values[key] = value;
+            }
+            return values;
+        }, {equals: Dynx.equals.shallow}).finalize();
+    };
+
+    /**
+     * Creates a new Dynx of the first valid value of a list of Dynxes.
+     * @param {Array} items - The Dynxes.
+     * @returns {Dynx} A new Dynx of the first valid value, or INVALID if none are valid.
+     */
+    Dynx.any = function(items){
+        return Dynx(() => {
+            for(let item of items){
+                let value = resolve(item);
+                if(value !== Dynx.INVALID)
+                    return value;
+            }
+            return Dynx.INVALID;
+        }).finalize();
+    };
+
+    /**
+     * Alias for @see any.
+     */
+    Dynx.race = Dynx.any;
+
+    /**
+     * Creates a new Dynx of the latest value of any of the given Dynxes. It is INVALID until one of them updates.
+     * @param {...Dynx} dynxes - The Dynxes, or a single list of them.
+     * @returns {Dynx} A new merged Dynx.
+     */
+    Dynx.merge = function(...dynxes){
+        if(dynxes.length == 1 && Array.isArray(dynxes[0]))
+            dynxes = dynxes[0];
+        return Dynx._driven(Dynx.INVALID, emit => ({listeners: dynxes.map(dynx => [dynx, 'update', emit])}));
+    };
+
+    /**
+     * Creates a new Dynx of a function of the values of the given Dynxes. Arguments which are not Dynxes are used as
+     * they are.
+     * @param {Function} func - The function, called with the values.
+     * @param {...*|Dynx} dynxes - The Dynxes.
+     * @returns {Dynx} A new Dynx of the result, or INVALID if any value is INVALID.
+     */
+    Dynx.combine = function(func, ...dynxes){
+        return Dynx(() => {
+            let values = dynxes.map(resolve);
+            if(values.includes(Dynx.INVALID))
+                return Dynx.INVALID;
+            return func(...values);
+        }).finalize();
+    };
+
+    /**
+     * Creates a new string Dynx from a template literal, resolving any embedded Dynxes.
+     * @example Dynx.tpl`Hello ${name}!`
+     * @param {string[]} strings - The strings of the template.
+     * @param {...*|Dynx} values - The embedded values.
+     * @returns {Dynx} A new string Dynx, or INVALID if any embedded value is INVALID.
+     */
+    Dynx.tpl = function(strings, ...values){
+        return Dynx.combine((...values) => {
+            let str = strings[0];
+            for(let i = 0; i < values.length; i++)
+                str += values[i] + strings[i + 1];
+            return str;
+        }, ...values);
+    };
+
+    function isOptions(obj){
+        return obj !== null && typeof obj === 'object' && !Dynx._isDynx(obj);
+    }
+
     function resolve(obj){
-        if(obj instanceof Dynx)
+        if(Dynx._isDynx(obj))
             return obj.value;
         else
             return obj;
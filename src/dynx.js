@@ -1,4 +1,17 @@
 import {init as initTransform} from "./dynx-transform";
+import {init as initAsync} from "./dynx-async";
+import {init as initGraph} from "./dynx-graph";
+import {init as initTime} from "./dynx-time";
+import {init as initInterop} from "./dynx-interop";
+import {init as initCollections} from "./dynx-collections";
+import {init as initReactive} from "./dynx-reactive";
+import {init as initHistory} from "./dynx-history";
+import {init as initSnapshot} from "./dynx-snapshot";
+import {init as initPersist} from "./dynx-persist";
+import {init as initEffect} from "./dynx-effect";
+import {strict, shallow, deep} from "./dynx-equals";
+import {Tracer} from "./dynx-trace";
+import {sync, microtask, animationFrame} from "./dynx-scheduler";
 
 /**
  * Denotes an invalid Dynx variable. This might either not-yet-initialized or not-currently-valid.
@@ -9,6 +22,8 @@ export const INVALID = Symbol('invalid');
 /**
  * An expression function for a Dynx.
  * @typedef {Function} Expression
+ * @param {*} previous - The value of the Dynx before this evaluation.
+ * @param {Dynx} dynx - The Dynx being evaluated.
  * @returns {*} The new value.
  */
 
@@ -25,470 +40,1800 @@ export const INVALID = Symbol('invalid');
  */
 
 /**
- * Dynamix core class. Dynamix is a library that allows variables to remember their definitions and automatically update
- * as required. The system is event based under the hood, but subscription is handled entirely under-the-hood, meaning
- * it is easy to use, but also extremely efficient.
- * @author Jonathan Hartnett
+ * The number of updates after which a loop is stopped if Dynx.maxIterations is 0.
+ * @type {number}
+ */
+const DEFAULT_MAX_ITERATIONS = 100;
+
+/**
+ * Marks Dynxes of every runtime, since instanceof only recognises those of its own runtime.
+ * @type {Symbol}
+ */
+const BRAND = Symbol('dynx');
+
+/**
+ * Thrown when Dynxes depend on each other, or keep updating each other.
  * @class
  */
-class Dynx {
+export class DynxCycleError extends Error {
     /**
-     * Executes a block without subscribing to any triggered Dynxes.
-     * @param {Function} func - The function to be called.
-     * @param {[]} args - The arguments to call with.
-     * @returns {*} The return of the function.
+     * Creates a new cycle error.
+     * @constructor
+     * @param {Dynx[]} chain - The Dynxes involved, in the order they update each other.
      */
-    static immune(func, ...args){
-        Dynx._childStack.push(undefined);
-        let result = func(...args);
-        Dynx._childStack.pop();
-        return result;
+    constructor(chain){
+        let names = chain.map(dynx => dynx.name || '<anonymous>');
+        super(`[Dynx] Cycle detected: ${names.join(' -> ')}.`);
+        this.name = 'DynxCycleError';
+        this.chain = chain;
     }
+}
 
+/**
+ * The child stack of the runtime currently evaluating, so that Dynxes of other runtimes can refuse to be used.
+ * @type {Array|undefined}
+ */
+let evaluatingStack;
+
+/**
+ * The listeners queued while propagating, bucketed by the rank of their Dynx so that the lowest rank can be found
+ * without searching.
+ * @class
+ */
+class UpdateQueue {
     /**
-     * Creates a new Dynx with an optional initial value.
+     * Creates a new, empty queue.
      * @constructor
-     * @param {*} [initial=undefined] - The initial constant value.
      */
-    constructor(initial=undefined) {
-        this.value = initial;
+    constructor(){
+        //maps ranks to the listeners queued at that rank, in the order they were queued. Removed listeners are left in
+        //place and skipped once reached, so that nothing has to be searched or shifted.
+        this._buckets = new Map();
+        //the ranks which have buckets, lowest first
+        this._ranks = [];
+        //maps queued listeners to the rank they were queued at
+        this._rankOf = new Map();
     }
 
     /**
-     * Returns true if 'value' is finalized.
-     * @returns {boolean} True if constant.
+     * Gets the rank of a listener. Discarded listeners come first, so that they are dropped as soon as possible.
+     * @param {Function} listener - The listener.
+     * @returns {number} The rank.
      */
-    get isConstant(){
-        return this.isFinal && !this.exp;
+    static rankOf(listener){
+        return listener.dynxListener ? listener.dynxListener._rank : -Infinity;
     }
 
     /**
-     * Returns true if 'exp' is finalized.
-     * @returns {boolean} True if final.
+     * Returns true if a listener is queued.
+     * @param {Function} listener - The listener.
+     * @returns {boolean} True if queued.
      */
-    get isFinal(){
-        return this._isFinal;
+    has(listener){
+        return this._rankOf.has(listener);
     }
 
     /**
-     * Returns true if this Dynx is currently invalid.
-     * @returns {boolean} True if invalid.
+     * Queues a listener, unless already queued.
+     * @param {Function} listener - The listener.
+     * @returns {boolean} True if it was not already queued.
      */
-    get isInvalid(){
-        return this.value === INVALID;
+    add(listener){
+        if(this._rankOf.has(listener))
+            return false;
+        let rank = UpdateQueue.rankOf(listener);
+        let bucket = this._buckets.get(rank);
+        if(!bucket){
+            this._buckets.set(rank, bucket = {listeners: [], head: 0, size: 0});
+            let i = this._ranks.findIndex(other => other > rank);
+            this._ranks.splice(i == -1 ? this._ranks.length : i, 0, rank);
+        }
+        bucket.listeners.push(listener);
+        bucket.size++;
+        this._rankOf.set(listener, rank);
+        return true;
     }
 
     /**
-     * Gets the current value.
-     * @returns {*} The current value.
+     * Removes a listener from the queue.
+     * @param {Function} listener - The listener.
+     * @returns {boolean} True if it was queued.
      */
-    get value() {
-        //if currently evaluating an expression, add a subscription
-        if(Dynx._childStack.length > 0 && !this.isConstant){
-            let top = Dynx._childStack.top;
-            if(top !== undefined && top !== this){
-                if(top.isFinal)
-                    top._pendingConstant = false;
-                this.on('update', top.updateHandle);
-            }
-        }
-        //return value
-        return this._value;
+    delete(listener){
+        if(!this._rankOf.has(listener))
+            return false;
+        let rank = this._rankOf.get(listener);
+        this._rankOf.delete(listener);
+        let bucket = this._buckets.get(rank);
+        bucket.size--;
+        if(bucket.size == 0){
+            this._buckets.delete(rank);
+            this._ranks.splice(this._ranks.indexOf(rank), 1);
+        }
+        return true;
     }
 
     /**
-     * Sets the current value.
-     * @param {*} value - The new constant value.
+     * Moves a queued listener to the bucket of its current rank, after its Dynx's rank changed.
+     * @param {Function} listener - The listener.
      */
-    set value(value) {
-        if(this.isFinal)
-            throw new Error('[Dynx] Cannot change the value of a finalized Dynx.');
-        //make exp undefined to mark as constant
-        delete this._exp;
-        if(this._init_value !== value){
-            //set value and update
-            this._init_value = value;
-            this.update(true);
+    rerank(listener){
+        let rank = this._rankOf.get(listener);
+        if(rank !== undefined && rank !== UpdateQueue.rankOf(listener)){
+            this.delete(listener);
+            this.add(listener);
         }
     }
 
     /**
-     * Alias for @see value.
+     * Removes and returns the first listener of the lowest rank, if below the given rank.
+     * @param {number} [rank=Infinity] - The rank to stop at.
+     * @returns {Function|undefined} The listener, or undefined if none.
      */
-    get x(){
-        return this.value;
+    shift(rank=Infinity){
+        let min = this._ranks[0];
+        if(min === undefined || min >= rank)
+            return undefined;
+        let bucket = this._buckets.get(min);
+        for(;;){
+            let listener = bucket.listeners[bucket.head++];
+            //skip listeners removed since they were queued
+            if(this._rankOf.get(listener) === min){
+                this.delete(listener);
+                return listener;
+            }
+        }
     }
+}
 
-    /**
-     * Alias for @see value.
-     */
-    set x(value){
-        this.value = value;
-    }
+/**
+ * Registers an item to be disposed along with its owner.
+ * @param {Scope|Dynx} owner - The owner.
+ * @param {Scope|Dynx|Function} item - The item, or a cleanup function.
+ */
+function own(owner, item){
+    if(!owner._owned)
+        owner._owned = new Set();
+    owner._owned.add(item);
+    if(typeof item !== 'function')
+        item._owner = owner;
+}
 
-    /**
-     * Gets the current source value. This is the value before filters are applied.
-     * @return {*} The current source value.
-     */
-    get srcValue(){
-        return this._init_value;
+/**
+ * Removes an item from its owner, if any.
+ * @param {Scope|Dynx} item - The item.
+ */
+function disown(item){
+    if(item._owner){
+        item._owner._owned.delete(item);
+        delete item._owner;
     }
+}
 
-    /**
-     * Sets the current source value. This is the value before filters are applied.
-     * @param {*} value - The new source value.
-     */
-    set srcValue(value){
-        this.value = value;
+/**
+ * Disposes everything owned by an owner, newest first.
+ * @param {Scope|Dynx} owner - The owner.
+ */
+function disposeOwned(owner){
+    if(owner._owned){
+        let items = [...owner._owned].reverse();
+        delete owner._owned;
+        for(let item of items){
+            if(typeof item === 'function'){
+                item();
+            }else{
+                delete item._owner;
+                item.dispose();
+            }
+        }
     }
+}
 
+/**
+ * Creates a new Dynx runtime. Each runtime has its own Dynx class, with its own dependency tracking, propagation queue,
+ * schedulers and configuration.
+ * @param {Object} [config] - The configuration of the runtime (lazy, scheduler, maxIterations, onUncaughtError,
+ *     debug), defaults to the same as a new process.
+ * @returns {Function} The Dynx class of the runtime.
+ */
+function createRuntime(config={}){
     /**
-     * Gets the current expression.
-     * @returns {Expression} The expression, or undefined if a constant.
+     * Dynamix core class. Dynamix is a library that allows variables to remember their definitions and automatically
+     * update as required. The system is event based under the hood, but subscription is handled entirely
+     * under-the-hood, meaning it is easy to use, but also extremely efficient.
+     * @author Jonathan Hartnett
+     * @class
      */
-    get exp() {
-        return this._exp;
-    }
+    class Dynx {
+        /**
+         * Executes a block without subscribing to any triggered Dynxes.
+         * @param {Function} func - The function to be called.
+         * @param {[]} args - The arguments to call with.
+         * @returns {*} The return of the function.
+         */
+        static immune(func, ...args){
+            let stack = evaluatingStack;
+            evaluatingStack = Dynx._childStack;
+            Dynx._childStack.push(undefined);
+            try{
+                return func(...args);
+            }finally{
+                Dynx._childStack.pop();
+                evaluatingStack = stack;
+            }
+        }
 
-    /**
-     * Sets the current expression.
-     * @param {Expression} value - The new expression.
-     */
-    set exp(value) {
-        if(this.isFinal)
-            throw new Error('[Dynx] Cannot change the value of a finalized Dynx.');
-        //set expression and update
-        if(typeof value !== 'function')
-            throw new Error(`[Dynx] Exp must be a function, not ${value}.`);
-        delete this._init_value;
-        if(this._exp !== value){
+        /**
+         * Returns true if called from an expression, so that reads should be tracked.
+         * @private
+         * @returns {boolean} True if tracking.
+         */
+        static _isTracking(){
+            return Boolean(Dynx._childStack.top);
+        }
+
+        /**
+         * Returns true if an object is a Dynx of this runtime.
+         * @private
+         * @param {*} obj - The object.
+         * @returns {boolean} True if a Dynx.
+         * @throws {Error} If the object is a Dynx of another runtime.
+         */
+        static _isDynx(obj){
+            if(obj instanceof Dynx)
+                return true;
+            if(obj !== null && typeof obj === 'object' && obj[BRAND])
+                throw new Error('[Dynx] Cannot use a Dynx from another runtime.');
+            return false;
+        }
+
+        /**
+         * Executes a block inside a transaction. Writes to Dynx values are recorded, and dependents are only updated
+         * once when the block completes. If the block throws, all values written inside it are rolled back.
+         * Note: Nested batches are merged into the outermost batch.
+         * @param {Function} func - The function to be called.
+         * @param {[]} args - The arguments to call with.
+         * @returns {*} The return of the function.
+         */
+        static batch(func, ...args){
+            let transaction = Dynx.transaction();
+            let result;
+            try{
+                result = func(...args);
+            }catch(err){
+                transaction.rollback();
+                throw err;
+            }
+            transaction.commit();
+            return result;
+        }
+
+        /**
+         * Begins a new transaction. Writes to Dynx values are recorded until the transaction is committed or rolled
+         * back.
+         * @see batch
+         * @returns {Transaction} The new transaction.
+         */
+        static transaction(){
+            return Dynx._transaction = new Transaction(Dynx._transaction);
+        }
+
+        /**
+         * Creates a new runtime, isolated from this one.
+         * @see createRuntime
+         * @param {Object} [config] - The configuration of the runtime.
+         * @returns {Function} The Dynx class of the runtime.
+         */
+        static createRuntime(config){
+            return createRuntime(config);
+        }
+
+        /**
+         * Creates a new ownership scope, owned by the current scope or expression (if any). Dynxes, listeners and
+         * scopes created while it is active are disposed with it.
+         * @param {Function} [func] - A function to immediately run inside the scope, called with the scope.
+         * @returns {Scope} The new scope.
+         */
+        static scope(func){
+            let scope = new Scope(Dynx._currentOwner);
+            if(func)
+                scope.run(func, scope);
+            return scope;
+        }
+
+        /**
+         * Creates a new ownership scope with no owner, so it lives until explicitly disposed.
+         * @see scope
+         * @param {Function} [func] - A function to immediately run inside the scope, called with the scope.
+         * @returns {Scope} The new scope.
+         */
+        static root(func){
+            let scope = new Scope();
+            if(func)
+                scope.run(func, scope);
+            return scope;
+        }
+
+        /**
+         * Gets the handler called when an expression or filter throws and the Dynx has no error listeners.
+         * @returns {Function} The handler, called with the error and the Dynx.
+         */
+        static get onUncaughtError(){
+            return Dynx._uncaughtErrorHandler;
+        }
+
+        /**
+         * Sets the handler called when an expression or filter throws and the Dynx has no error listeners.
+         * @param {Function} handler - The handler, called with the error and the Dynx.
+         */
+        static set onUncaughtError(handler){
+            Dynx._uncaughtErrorHandler = handler;
+        }
+
+        /**
+         * Gets the maximum number of times a Dynx can update while propagating a single change.
+         * @returns {number} The maximum, or 0 if cycles are not allowed.
+         */
+        static get maxIterations(){
+            return Dynx._maxIterations;
+        }
+
+        /**
+         * Sets the maximum number of times a Dynx can update while propagating a single change. If 0, expressions that
+         * depend on each other throw a DynxCycleError. Otherwise, such feedback loops are allowed to iterate until they
+         * converge, or until a Dynx exceeds this maximum.
+         * Note: Loops caused by writes are always stopped after the maximum (or 100 updates if 0).
+         * @param {number} value - The new maximum.
+         */
+        static set maxIterations(value){
+            Dynx._maxIterations = value;
+        }
+
+        /**
+         * Executes a block while tracing every update it causes.
+         * @param {Function} func - The function to be called.
+         * @param {[]} args - The arguments to call with.
+         * @returns {Tracer} The trace, with a tree of updates for each propagation wave.
+         */
+        static trace(func, ...args){
+            let tracer = new Tracer();
+            let previous = Dynx._tracer;
+            Dynx._tracer = tracer;
+            try{
+                func(...args);
+            }finally{
+                Dynx._tracer = previous;
+            }
+            return tracer;
+        }
+
+        /**
+         * Returns true if every propagation wave is printed to the console.
+         * @returns {boolean} True if debugging.
+         */
+        static get debug(){
+            return Boolean(Dynx._tracer && Dynx._tracer._print);
+        }
+
+        /**
+         * Sets whether every propagation wave is printed to the console.
+         * @param {boolean} value - True to debug.
+         */
+        static set debug(value){
+            Dynx._tracer = value ? new Tracer({print: true}) : undefined;
+        }
+
+        /**
+         * Returns true if Dynxes are lazy by default. @see lazy
+         * @returns {boolean} True if lazy.
+         */
+        static get lazy(){
+            return Dynx._lazyByDefault;
+        }
+
+        /**
+         * Sets whether Dynxes are lazy by default. @see lazy
+         * @param {boolean} value - True if lazy.
+         */
+        static set lazy(value){
+            Dynx._lazyByDefault = Boolean(value);
+        }
+
+        /**
+         * Gets the scheduler used by Dynxes without their own. @see scheduler
+         * @returns {Scheduler} The scheduler.
+         */
+        static get scheduler(){
+            return Dynx._schedulerByDefault;
+        }
+
+        /**
+         * Sets the scheduler used by Dynxes without their own. @see Dynx.schedulers for presets.
+         * @param {Scheduler} value - The new scheduler.
+         */
+        static set scheduler(value){
+            Dynx._schedulerByDefault = value;
+        }
+
+        /**
+         * Immediately updates every Dynx waiting on a scheduler.
+         */
+        static flush(){
+            while(Dynx._pending.size != 0){
+                for(let scheduler of [...Dynx._pending.keys()])
+                    Dynx._flushScheduler(scheduler);
+            }
+        }
+
+        /**
+         * Waits until no Dynx is waiting on a scheduler.
+         * @returns {Promise} A promise resolved once settled.
+         */
+        static settled(){
+            if(Dynx._pending.size == 0)
+                return Promise.resolve();
+            return Promise.all([...Dynx._flushes.values()].map(flush => flush.promise)).then(() => Dynx.settled());
+        }
+
+        /**
+         * Adds a Dynx to a scheduler's pending updates, scheduling a flush if there wasn't one already.
+         * @private
+         * @param {Dynx} dynx - The Dynx to update.
+         * @param {Scheduler} scheduler - The scheduler.
+         */
+        static _defer(dynx, scheduler){
+            let pending = Dynx._pending.get(scheduler);
+            if(!pending){
+                pending = new Set();
+                Dynx._pending.set(scheduler, pending);
+                let flush = {};
+                flush.promise = new Promise(resolve => flush.resolve = resolve);
+                Dynx._flushes.set(scheduler, flush);
+                scheduler.schedule(() => Dynx._flushScheduler(scheduler));
+            }
+            pending.add(dynx);
+            dynx._scheduledBy = scheduler;
+        }
+
+        /**
+         * Updates every Dynx pending on a scheduler, together in topological order. Nothing is left to catch errors
+         * once a scheduler calls back, so errors thrown by listeners are passed to Dynx.onUncaughtError, and the
+         * remaining Dynxes still update.
+         * @private
+         * @param {Scheduler} scheduler - The scheduler.
+         */
+        static _flushScheduler(scheduler){
+            let pending = Dynx._pending.get(scheduler);
+            //may have already been flushed manually
+            if(!pending)
+                return;
+            Dynx._pending.delete(scheduler);
+            let flush = Dynx._flushes.get(scheduler);
+            Dynx._flushes.delete(scheduler);
+            Dynx._flushing.add(scheduler);
+            try{
+                Dynx._propagate(() => {
+                    for(let dynx of pending){
+                        delete dynx._scheduledBy;
+                        if(dynx.updateHandle)
+                            Dynx._queue.add(dynx.updateHandle);
+                    }
+                }, true);
+            }finally{
+                Dynx._flushing.delete(scheduler);
+                flush.resolve();
+            }
+        }
+
+        /**
+         * Sets up a driven Dynx.
+         * @callback DrivenSetup
+         * @param {Function} emit - Sets the value of the driven Dynx.
+         * @returns {{listeners: Array, stop: Function}} The listeners to add, as [dynx, event, listener], and
+         *     optionally a function to call once the driven Dynx is disposed.
+         */
+
+        /**
+         * Creates a read-only Dynx whose value is set by listeners on other Dynxes, rather than by an expression.
+         * The listeners are added directly, instead of with on, so that they are only removed once the driven Dynx
+         * is disposed, and never by a scope. Constant Dynxes never emit, so they are skipped.
+         * @private
+         * @param {*} initial - The initial value.
+         * @param {DrivenSetup} setup - Sets up the listeners.
+         * @returns {Dynx} The driven Dynx.
+         */
+        static _driven(initial, setup){
+            let latest = new Dynx(initial);
+            let driven = new Dynx().finalize(() => latest.value);
+            let {listeners, stop} = setup(value => latest.value = value);
+            listeners = listeners.filter(([dynx]) => !dynx.isConstant);
+            for(let [dynx, event, listener] of listeners)
+                dynx._addListener(Dynx._getEventArrName(event), listener);
+            driven._addListener('dispose-listeners', () => {
+                for(let [dynx, event, listener] of listeners)
+                    dynx._removeListener(Dynx._getEventArrName(event), listener);
+                if(stop)
+                    stop();
+                latest.dispose();
+            });
+            return driven;
+        }
+
+        /**
+         * Creates a new Dynx with an optional initial value.
+         * @constructor
+         * @param {*} [initial=undefined] - The initial constant value.
+         * @param {Object} [options] - Additional options.
+         * @param {Comparator} [options.equals] - The comparator used to detect changes.
+         * @param {string} [options.name] - A name to identify this Dynx when debugging.
+         * @param {boolean} [options.lazy] - True if lazy, defaults to Dynx.lazy.
+         * @param {Scheduler} [options.scheduler] - The scheduler, defaults to Dynx.scheduler.
+         */
+        constructor(initial=undefined, {equals, name, lazy, scheduler}={}) {
+            if(scheduler)
+                this.scheduler = scheduler;
+            if(equals)
+                this.equals = equals;
+            if(lazy !== undefined)
+                this._isLazy = Boolean(lazy);
+            /**
+             * A name to identify this Dynx when debugging.
+             * @type {string|undefined}
+             */
+            this.name = name;
+            //depth in the dependency graph, parents always have a lower rank than their children
+            this._rank = 0;
+            //the Dynxes this Dynx is currently subscribed to
+            this._parents = new Set();
+            //incremented every time the value is set
+            this._version = 0;
+            if(Dynx._currentOwner)
+                own(Dynx._currentOwner, this);
+            this.value = initial;
+        }
+
+        /**
+         * Returns true if 'value' is finalized.
+         * @returns {boolean} True if constant.
+         */
+        get isConstant(){
+            return this.isFinal && !this.exp;
+        }
+
+        /**
+         * Returns true if 'exp' is finalized.
+         * @returns {boolean} True if final.
+         */
+        get isFinal(){
+            return this._isFinal;
+        }
+
+        /**
+         * Returns true if this Dynx has been disposed.
+         * @returns {boolean} True if disposed.
+         */
+        get isDisposed(){
+            return Boolean(this._isDisposed);
+        }
+
+        /**
+         * Gets the Dynxes this Dynx currently depends on.
+         * @returns {Dynx[]} The parents.
+         */
+        get parents(){
+            return [...this._parents];
+        }
+
+        /**
+         * Gets the Dynxes that currently depend on this Dynx.
+         * @returns {Dynx[]} The children.
+         */
+        get children(){
+            let arr = this['update-listeners'];
+            if(!arr)
+                return [];
+            return arr.filter(lis => lis.dynxListener).map(lis => lis.dynxListener);
+        }
+
+        /**
+         * Returns true if this Dynx is currently invalid.
+         * @returns {boolean} True if invalid.
+         */
+        get isInvalid(){
+            return this.value === INVALID;
+        }
+
+        /**
+         * Returns true if this Dynx's expression or filters threw.
+         * Note: Unlike value, this does not rethrow inside expressions, so it can be used to handle errors.
+         * @returns {boolean} True if errored.
+         */
+        get isErrored(){
+            this._track();
+            return '_error' in this;
+        }
+
+        /**
+         * Gets the error thrown by this Dynx's expression or filters.
+         * @returns {*} The error, or undefined if not errored.
+         */
+        get error(){
+            this._track();
+            return this._error;
+        }
+
+        /**
+         * Gets the current value.
+         * Note: If errored, this is INVALID, but reading it inside an expression rethrows the error.
+         * @returns {*} The current value.
+         */
+        get value() {
+            this._track();
+            //if errored, errors propagate to dependents
+            if('_error' in this){
+                let top = Dynx._childStack.top;
+                if(top !== undefined && top !== this){
+                    top._inheritedError = this._error;
+                    throw this._error;
+                }
+            }
+            //return value
+            return this._value;
+        }
+
+        /**
+         * Subscribes the currently-evaluating Dynx (if any) to this one.
+         * @private
+         */
+        _track(){
+            //Dynxes can only be used by expressions of their own runtime
+            let stack = evaluatingStack;
+            if(stack !== undefined && stack !== Dynx._childStack && stack.top !== undefined)
+                throw new Error('[Dynx] Cannot use a Dynx from another runtime.');
+            //if dirty or waiting on a scheduler, evaluate now
+            if(this._scheduledBy){
+                Dynx._pending.get(this._scheduledBy).delete(this);
+                delete this._scheduledBy;
+                this._changed();
+            }
+            if(this._dirty)
+                this.update();
+            //if propagating, update anything queued beneath this Dynx (and this Dynx) so the value is never stale
+            if(Dynx._queue){
+                Dynx._drain(this._rank);
+                let listener = this.updateHandle;
+                if(listener && Dynx._queue.delete(listener))
+                    Dynx._call(listener);
+            }
+            //if currently evaluating an expression, add a subscription
+            if(Dynx._childStack.length > 0 && !this.isConstant){
+                let top = Dynx._childStack.top;
+                if(top !== undefined && top !== this){
+                    //only descendants have a higher rank, so only then can subscribing create a cycle
+                    let isCycle = false;
+                    if(!top._parents.has(this) && this._rank > top._rank){
+                        let path = top._pathTo(this);
+                        if(path){
+                            if(!Dynx.maxIterations)
+                                throw new DynxCycleError([...path, top]);
+                            isCycle = true;
+                        }
+                    }
+                    if(top.isFinal)
+                        top._pendingConstant = false;
+                    if(!isCycle)
+                        top._raiseRank(this._rank + 1);
+                    if(!top._parents.has(this)){
+                        top._parents.add(this);
+                        //parents from the last evaluation are still subscribed to
+                        if(!top._staleParents || !top._staleParents.has(this))
+                            this._addListener('update-listeners', top.updateHandle);
+                    }
+                }
+            }
+        }
+
+        /**
+         * Sets the current value. Writable derived Dynxes pass the value to their setter instead.
+         * @param {*} value - The new constant value.
+         */
+        set value(value) {
+            if(this.isDisposed)
+                throw new Error('[Dynx] Cannot change the value of a disposed Dynx.');
+            if(this._setter){
+                let setter = this._setter;
+                Dynx.immune(() => this::setter(value));
+                return;
+            }
+            if(this.isFinal)
+                throw new Error('[Dynx] Cannot change the value of a finalized Dynx.');
+            //if in a transaction, defer the update until commit
+            if(Dynx._transaction){
+                Dynx._transaction._write(this, value);
+                return;
+            }
+            //make exp undefined to mark as constant
+            let hadExp = Boolean(this._exp);
+            if(hadExp){
+                delete this._exp;
+                this._detachParents();
+            }
+            if(!this.equals(this._init_value, value) || hadExp){
+                //set value and update
+                this._init_value = value;
+                this.update(true);
+            }
+        }
+
+        /**
+         * Alias for @see value.
+         */
+        get x(){
+            return this.value;
+        }
+
+        /**
+         * Alias for @see value.
+         */
+        set x(value){
+            this.value = value;
+        }
+
+        /**
+         * Gets the current source value. This is the value before filters are applied.
+         * @return {*} The current source value.
+         */
+        get srcValue(){
+            return this._init_value;
+        }
+
+        /**
+         * Sets the current source value. This is the value before filters are applied.
+         * @param {*} value - The new source value.
+         */
+        set srcValue(value){
+            this.value = value;
+        }
+
+        /**
+         * Gets the scheduler that decides when this Dynx updates after its parents change.
+         * @returns {Scheduler} The scheduler.
+         */
+        get scheduler(){
+            return this._scheduler || Dynx.scheduler;
+        }
+
+        /**
+         * Sets the scheduler that decides when this Dynx updates after its parents change.
+         * @param {Scheduler} value - The new scheduler.
+         */
+        set scheduler(value){
+            this._scheduler = value;
+        }
+
+        /**
+         * Returns true if this Dynx is lazy. While a lazy Dynx has no update listeners (including child Dynxes),
+         * changes to its parents only mark it dirty, and its expression is only evaluated when the value is next read.
+         * @returns {boolean} True if lazy.
+         */
+        get lazy(){
+            return this._isLazy !== undefined ? this._isLazy : Dynx.lazy;
+        }
+
+        /**
+         * Sets whether this Dynx is lazy.
+         * @param {boolean} value - True if lazy.
+         */
+        set lazy(value){
+            this._isLazy = Boolean(value);
+            if(this._dirty && !this.lazy)
+                this.update();
+        }
+
+        /**
+         * Gets the comparator used to detect changes.
+         * @returns {Comparator} The comparator.
+         */
+        get equals(){
+            return this._equals || Dynx.equals.strict;
+        }
+
+        /**
+         * Sets the comparator used to detect changes. @see Dynx.equals for presets.
+         * @param {Comparator} value - The new comparator.
+         */
+        set equals(value){
+            if(typeof value !== 'function')
+                throw new Error(`[Dynx] Equals must be a function, not ${value}.`);
+            this._equals = value;
+        }
+
+        /**
+         * Gets the current expression.
+         * @returns {Expression} The expression, or undefined if a constant.
+         */
+        get exp() {
+            return this._exp;
+        }
+
+        /**
+         * Sets the current expression.
+         * @param {Expression} value - The new expression.
+         */
+        set exp(value) {
+            if(this.isDisposed)
+                throw new Error('[Dynx] Cannot change the value of a disposed Dynx.');
+            if(this.isFinal)
+                throw new Error('[Dynx] Cannot change the value of a finalized Dynx.');
             //set expression and update
-            this._exp = value;
-            this.update();
+            if(typeof value !== 'function')
+                throw new Error(`[Dynx] Exp must be a function, not ${value}.`);
+            delete this._init_value;
+            if(this._exp !== value){
+                //set expression and update
+                this._exp = value;
+                this._changed();
+            }
         }
-    }
 
-    /**
-     * Updates the value of this Dynx based on the expression.
-     * @param {boolean} [force=true] - True if update listeners should be called regardless of value change.
-     */
-    update(force=false) {
-        //call preUpdate listeners
-        this._triggerEvent('pre-update', this._value);
+        /**
+         * Updates the value of this Dynx based on the expression.
+         * @param {boolean} [force=true] - True if update listeners should be called regardless of value change.
+         */
+        update(force=false) {
+            let tracer = Dynx._tracer;
+            if(!tracer)
+                return this._update(force);
+            let entry = tracer.begin(this);
+            try{
+                this._update(force);
+            }finally{
+                tracer.end(entry);
+            }
+        }
 
-        //create var for new values
-        let newValue = this._init_value;
+        /**
+         * Updates the value of this Dynx based on the expression. @see update
+         * @private
+         * @param {boolean} force - True if update listeners should be called regardless of value change.
+         */
+        _update(force){
+            delete this._dirty;
+            //call preUpdate listeners
+            this._triggerEvent('pre-update', this._value);
 
-        //if final, create variable to detect non-constant parents
-        if(this._isFinal && this.exp)
-            this._pendingConstant = true;
+            //if final, create variable to detect non-constant parents
+            if(this._isFinal && this.exp)
+                this._pendingConstant = true;
 
-        //only evaluate if something might have changed
-        if(this._exp || this.filters){
-            //createElement new handle
-            this._refreshHandle();
-            //set child so we catch parents from evaluation and filtering
-            Dynx._childStack.push(this);
+            //evaluate and set new value
+            let version = this._version;
+            let result = this._evaluate();
+            //if a nested update (from a write inside the expression) already set a newer value, this one is outdated
+            if(this._version === version)
+                this._set(result, force);
 
-            //evaluate expression
-            if(this._exp)
-                newValue = this._exp();
-            //filter value
-            if(this.filters)
-                for(let filter of this.filters)
-                    newValue = this::filter(newValue);
+            if(this._isFinal && this.exp){
+                if(this._pendingConstant){
+                    this._init_value = this._value;
+                    this.constant();
+                }
+                delete this._pendingConstant;
+            }
 
-            Dynx._childStack.pop();
+            //call postUpdate listeners
+            this._triggerEvent('post-update', this._value);
         }
 
-        //if changed, update _value and call listeners
-        if(newValue !== this._value || force){
-            //set value to new
-            this._value = newValue;
-            //update all listeners
-            this._triggerEvent('update', this._value);
+        /**
+         * Updates this Dynx after a parent changed, or defers the update to its scheduler.
+         * @private
+         */
+        _schedule(){
+            let scheduler = this.scheduler;
+            //Dynxes on the same scheduler update together once it flushes
+            if(scheduler === sync || Dynx._flushing.has(scheduler))
+                this._changed();
+            else if(!this._scheduledBy)
+                Dynx._defer(this, scheduler);
         }
 
-        if(this._isFinal && this.exp){
-            if(this._pendingConstant){
-                this._init_value = this._value;
-                this.constant();
+        /**
+         * Updates this Dynx after its expression or a parent changed. If lazy with no update listeners, it is only
+         * marked dirty, and unsubscribes from its parents until it is next evaluated.
+         * @private
+         */
+        _changed(){
+            if(this._exp && this.lazy && !this['update-listeners']){
+                this._dirty = true;
+                this._detachParents();
+            }else{
+                this.update();
             }
-            delete this._pendingConstant;
         }
 
-        //call postUpdate listeners
-        this._triggerEvent('post-update', this._value);
-    }
+        /**
+         * Evaluates the expression and filters of this Dynx, subscribing to any parents. Errors are caught and
+         * returned.
+         * @private
+         * @param {*} [value] - A value to filter in place of evaluating the expression.
+         * @returns {{value: *, error: *}} The new value, and the error if one was thrown.
+         */
+        _evaluate(value){
+            let useExp = arguments.length === 0;
+            //create var for new values
+            let newValue = useExp ? this._init_value : value;
+            //anything created by the last evaluation is discarded
+            if(useExp)
+                disposeOwned(this);
 
-    /**
-     * Calls this Dynx's listeners.
-     * @param {string} event - The type of listener.
-     * @param {*[]} [args] - The arguments to call it with.
-     * @private
-     */
-    _triggerEvent(event, ...args){
-        let arrName = Dynx._getEventArrName(event);
-        if(event === 'update'){
-            //this method would be a simple loop with recursion,
-            //  but listeners from sub-dynxes are called in a cue
-            //  to avoid stack overflows
-            let isMaster = !('_queue' in Dynx);
-            if(isMaster)
-                Dynx._queue = [];
-            //queue listeners for update
-            let arr = this[arrName];
-            if(arr){
-                arr = arr.filter(listener => listener.dynxListener !== null);
-                if(arr.length != 0){
-                    for(let lis of arr){
-                        if(lis.dynxListener)
-                            Dynx._queue.push(() => this::lis(...args));
-                        else
-                            this::lis(...args);
+            //only evaluate if something might have changed
+            if((useExp && this._exp) || this.filters){
+                //parents are collected again, and only those no longer used are unsubscribed from afterwards, since
+                //unsubscribing from a parent with many children is slow
+                let staleParents = this._staleParents;
+                if(useExp){
+                    if(!this.updateHandle)
+                        this._refreshHandle();
+                    else if(Dynx._queue)
+                        Dynx._queue.delete(this.updateHandle);
+                    this._staleParents = this._parents;
+                    this._parents = new Set();
+                }
+                delete this._inheritedError;
+                //set child so we catch parents from evaluation and filtering
+                let depth = Dynx._childStack.length;
+                Dynx._childStack.push(this);
+                let stack = evaluatingStack;
+                evaluatingStack = Dynx._childStack;
+                //own anything created by the evaluation
+                let owner = Dynx._currentOwner;
+                if(useExp)
+                    Dynx._currentOwner = this;
+                let tracer = Dynx._tracer;
+                try{
+                    //evaluate expression
+                    if(useExp && this._exp){
+                        let start = tracer && tracer.now();
+                        newValue = this._exp(this._value, this);
+                        if(tracer)
+                            tracer.time(this, 'expression', start);
                     }
-                    this[arrName] = arr;
-                }else{
-                    delete this[arrName];
+                    //filter value
+                    if(this.filters){
+                        let start = tracer && tracer.now();
+                        for(let filter of this.filters)
+                            newValue = this::filter(newValue);
+                        if(tracer)
+                            tracer.time(this, 'filters', start);
+                    }
+                }catch(error){
+                    return {value: INVALID, error};
+                }finally{
+                    //always restore the stack, even if something beneath us failed to
+                    Dynx._childStack.length = depth;
+                    evaluatingStack = stack;
+                    Dynx._currentOwner = owner;
+                    if(useExp){
+                        //the handle may have been discarded while evaluating, such as by a nested write
+                        if(this.updateHandle){
+                            for(let parent of this._staleParents){
+                                if(!this._parents.has(parent))
+                                    parent._removeListener('update-listeners', this.updateHandle);
+                            }
+                        }
+                        this._staleParents = staleParents;
+                    }
+                }
+            }
+
+            return {value: newValue};
+        }
+
+        /**
+         * Sets the value (and error state) of this Dynx, calling listeners if either changed.
+         * @private
+         * @param {{value: *, error: *}} result - The new value, and the error if errored.
+         * @param {boolean} [force=false] - True if update listeners should be called regardless of value change.
+         */
+        _set(result, force=false){
+            this._version++;
+            let isErrored = 'error' in result;
+            let changed = !this.equals(result.value, this._value) || isErrored !== ('_error' in this) ||
+                result.error !== this._error;
+            if(isErrored)
+                this._error = result.error;
+            else
+                delete this._error;
+            //if changed, update _value and call listeners
+            if(changed || force){
+                //set value to new
+                this._value = result.value;
+                if(isErrored){
+                    //errors from parents were already reported by the parent
+                    if(result.error !== this._inheritedError && !this['error-listeners'])
+                        Dynx.onUncaughtError(result.error, this);
+                    this._triggerEvent('error', result.error);
                 }
+                //update all listeners
+                this._triggerEvent('update', this._value);
             }
-            //if master manager hasn't been start, start one
+        }
+
+        /**
+         * Sets the result of an update made outside of update, such as by an async expression.
+         * @private
+         * @param {{value: *, error: *}} result - The new value, and the error if any.
+         */
+        _settle(result){
+            this._triggerEvent('pre-update', this._value);
+            this._set(result);
+            this._triggerEvent('post-update', this._value);
+        }
+
+        /**
+         * Calls this Dynx's listeners.
+         * @param {string} event - The type of listener.
+         * @param {*[]} [args] - The arguments to call it with.
+         * @private
+         */
+        _triggerEvent(event, ...args){
+            let arrName = Dynx._getEventArrName(event);
+            if(event === 'update'){
+                Dynx._propagate(() => {
+                    //queue listeners for update
+                    let arr = this[arrName];
+                    if(arr){
+                        arr = arr.filter(listener => listener.dynxListener !== null);
+                        if(arr.length != 0){
+                            this[arrName] = arr;
+                            let count = 0;
+                            //iterate over a copy, since listeners can remove themselves
+                            for(let lis of [...arr]){
+                                let child = lis.dynxListener;
+                                if(child){
+                                    //children evaluating right now only listen to the parents they have read so far
+                                    if(child._staleParents && !child._parents.has(this))
+                                        continue;
+                                    //sub-dynxes are only queued once, so they only update once per change
+                                    if(Dynx._queue.add(lis)){
+                                        if(Dynx._tracer)
+                                            Dynx._tracer.queued(child);
+                                    }
+                                }else{
+                                    this::lis(...args);
+                                    count++;
+                                }
+                            }
+                            if(Dynx._tracer && count != 0)
+                                Dynx._tracer.fired(this, event, count);
+                        }else{
+                            delete this[arrName];
+                        }
+                    }
+                });
+            }else{
+                let arr = this[arrName];
+                if(arr){
+                    for(let lis of [...arr])
+                        this::lis(...args);
+                    if(Dynx._tracer)
+                        Dynx._tracer.fired(this, event, arr.length);
+                }
+            }
+        }
+
+        /**
+         * Calls a function, then calls all sub-dynx listeners queued during it.
+         * This method would be a simple loop with recursion, but listeners from sub-dynxes are called in a queue
+         * to avoid stack overflows.
+         * @private
+         * @param {Function} func - The function to be called.
+         * @param {boolean} [reportErrors=false] - True to pass errors thrown by listeners to Dynx.onUncaughtError and
+         *     keep going, rather than throwing them. Only used when starting a wave.
+         */
+        static _propagate(func, reportErrors=false){
+            let isMaster = !Dynx._queue;
             if(isMaster){
-                let listener;
-                while(listener = Dynx._queue.shift())
-                    listener();
-                delete Dynx._queue;
+                Dynx._queue = new UpdateQueue();
+                Dynx._reportErrors = reportErrors;
+                //counts the updates of each Dynx, to catch loops
+                Dynx._iterations = new Map();
+                //identifies the current wave, so that changes made in it can be grouped
+                Dynx._wave++;
+                //listeners to call once every queued Dynx has updated, such as effects
+                Dynx._effects = [];
             }
-        }else{
-            let arr = this[arrName];
+            try{
+                func();
+                //if master manager hasn't been start, start one
+                if(isMaster){
+                    Dynx._drain();
+                    //effects can write to Dynxes, so updates are drained again after each
+                    while(Dynx._effects.length != 0){
+                        let effect = Dynx._effects.shift();
+                        Dynx._guard(effect);
+                        Dynx._drain();
+                    }
+                }
+            }finally{
+                //cleared rather than deleted, since deleting properties of the class slows down every static access
+                if(isMaster){
+                    Dynx._queue = undefined;
+                    Dynx._iterations = undefined;
+                    Dynx._effects = undefined;
+                    Dynx._reportErrors = false;
+                }
+            }
+        }
+
+        /**
+         * Calls a listener of the current wave. If the wave reports errors, anything thrown is passed to
+         * Dynx.onUncaughtError along with the listener's Dynx.
+         * @private
+         * @param {Function} listener - The listener.
+         */
+        static _guard(listener){
+            if(!Dynx._reportErrors)
+                return listener();
+            try{
+                listener();
+            }catch(err){
+                Dynx.onUncaughtError(err, listener.dynxListener);
+            }
+        }
+
+        /**
+         * Calls a queued listener. If its Dynx has updated too many times while propagating, it is put into the error
+         * state instead.
+         * @private
+         * @param {Function} listener - The listener.
+         */
+        static _call(listener){
+            let dynx = listener.dynxListener;
+            //skip handles discarded since they were queued
+            if(!dynx)
+                return;
+            let limit = Dynx.maxIterations || DEFAULT_MAX_ITERATIONS;
+            let count = (Dynx._iterations.get(dynx) || 0) + 1;
+            Dynx._iterations.set(dynx, count);
+            if(count <= limit){
+                Dynx._guard(listener);
+            }else if(count === limit + 1){
+                dynx._settle({value: INVALID, error: new DynxCycleError(dynx._pathTo(dynx) || [dynx])});
+            }
+        }
+
+        /**
+         * Calls queued listeners in rank order until none below the given rank remain. Updating in rank order means
+         * every parent has updated before its children, so each child updates at most once and never sees a mix of old
+         * and new values.
+         * @private
+         * @param {number} [rank=Infinity] - The rank to stop at.
+         */
+        static _drain(rank=Infinity){
+            let queue = Dynx._queue;
+            let listener;
+            while((listener = queue.shift(rank)) !== undefined)
+                Dynx._call(listener);
+        }
+
+        /**
+         * Raises this Dynx's rank (and the ranks of its children) to at least the given rank.
+         * @private
+         * @param {number} rank - The minimum rank.
+         * @param {Set<Dynx>} [visited] - The Dynxes already raised, so allowed cycles are only followed once.
+         */
+        _raiseRank(rank, visited=new Set()){
+            if(rank <= this._rank || visited.has(this))
+                return;
+            visited.add(this);
+            this._rank = rank;
+            //ranks can change while propagating, so a queued update must move to its new rank
+            if(Dynx._queue && this.updateHandle)
+                Dynx._queue.rerank(this.updateHandle);
+            let arr = this['update-listeners'];
             if(arr){
-                for(let lis of arr)
-                    this::lis(...args);
+                for(let lis of arr){
+                    if(lis.dynxListener)
+                        lis.dynxListener._raiseRank(rank + 1, visited);
+                }
             }
         }
-    }
 
-    /**
-     * Refreshes this Dynx's update handle, which effectively discards all old parents.
-     */
-    _refreshHandle(){
-        //delete old handle
-        if(this.updateHandle)
-            this.updateHandle.dynxListener = null;
-        //create new one
-        this.updateHandle = () => this.update();
-        this.updateHandle.dynxListener = true;
-    }
+        /**
+         * Finds a path from this Dynx to one of its descendants.
+         * @private
+         * @param {Dynx} target - The descendant to find.
+         * @param {Set<Dynx>} [visited] - The Dynxes already searched.
+         * @returns {Dynx[]|undefined} The path (starting with this and ending with the target), or undefined if none.
+         */
+        _pathTo(target, visited=new Set()){
+            visited.add(this);
+            let arr = this['update-listeners'];
+            if(arr){
+                for(let lis of arr){
+                    let child = lis.dynxListener;
+                    if(!child)
+                        continue;
+                    if(child === target)
+                        return [this, target];
+                    if(!visited.has(child)){
+                        let path = child._pathTo(target, visited);
+                        if(path)
+                            return [this, ...path];
+                    }
+                }
+            }
+        }
 
-    /**
-     * Adds a listener.
-     * @private
-     * @param {string} arrName - The event collection to add to.
-     * @param {Function} func - The function to add.
-     * @param {boolean} immediate - True make an initial call to the handler.
-     * @param {number} [priority=0] - The priority of the function.
-     */
-    _addListener(arrName, func, immediate=false, priority=0){
-        if(this.isConstant){
-            if(immediate)
-                this::func(this._value);
-            else
-                console.error('[Dynx] Subscription to a finalized Dynx is unnecessary!');
-        }else{
-            func.priority = priority;
-            let arr;
-            if(arrName in this){
-                arr = this[arrName];
-            }else{
-                arr = this[arrName] = [];
+        /**
+         * Refreshes this Dynx's update handle, which unsubscribes from all old parents.
+         */
+        _refreshHandle(){
+            this._detachParents();
+            //create new one
+            this.updateHandle = () => this._schedule();
+            this.updateHandle.dynxListener = this;
+        }
+
+        /**
+         * Unsubscribes from all parents and discards the update handle.
+         * @private
+         */
+        _detachParents(){
+            if(this.updateHandle){
+                for(let parent of this._parents)
+                    parent._removeListener('update-listeners', this.updateHandle);
+                //mark as discarded in case it's already queued
+                this.updateHandle.dynxListener = null;
+                delete this.updateHandle;
             }
-            if(arr.length == 0 || arr[arr.length - 1].priority >= priority){
-                arr.push(func);
+            this._parents.clear();
+        }
+
+        /**
+         * Adds a listener.
+         * @private
+         * @param {string} arrName - The event collection to add to.
+         * @param {Function} func - The function to add.
+         * @param {boolean} immediate - True make an initial call to the handler.
+         * @param {number} [priority=0] - The priority of the function.
+         */
+        _addListener(arrName, func, immediate=false, priority=0){
+            //lazy Dynxes switch to pushing updates once listened to, so they must be up-to-date first
+            if(this._dirty && arrName === 'update-listeners')
+                this.update();
+            if(this.isConstant){
+                if(immediate)
+                    this::func(this._value);
+                else
+                    console.error('[Dynx] Subscription to a finalized Dynx is unnecessary!');
             }else{
-                let other;
-                for(let i = 0; i < arr.length; i++){
-                    other = arr[i];
-                    if(other.priority < priority){
-                        arr.splice(i, 0, func);
-                        break;
+                func.priority = priority;
+                let arr;
+                if(arrName in this){
+                    arr = this[arrName];
+                }else{
+                    arr = this[arrName] = [];
+                }
+                if(arr.length == 0 || arr[arr.length - 1].priority >= priority){
+                    arr.push(func);
+                }else{
+                    let other;
+                    for(let i = 0; i < arr.length; i++){
+                        other = arr[i];
+                        if(other.priority < priority){
+                            arr.splice(i, 0, func);
+                            break;
+                        }
                     }
                 }
+
+                if(immediate)
+                    this::func(this._value);
             }
+        }
 
-            if(immediate)
-                this::func(this._value);
+        /**
+         * Removes a listener.
+         * @private
+         * @param {string} arrName - The event collection to remove from.
+         * @param {Function} func - The function to remove.
+         */
+        _removeListener(arrName, func){
+            if(arrName in this){
+                let arr = this[arrName];
+                let i = arr.indexOf(func);
+                if(i != -1){
+                    arr.splice(i, 1);
+                    if(arr.length == 0)
+                        delete this[arrName];
+                }
+            }
         }
-    }
 
-    /**
-     * Removes a listener.
-     * @private
-     * @param {string} arrName - The event collection to remove from.
-     * @param {Function} func - The function to remove.
-     */
-    _removeListener(arrName, func){
-        if(arrName in this){
-            let arr = this[arrName];
-            let i = arr.indexOf(func);
-            if(i != -1){
-                arr.splice(i, 1);
-                if(arr.length == 0)
-                    delete this[arrName];
+        /**
+         * Returns the event array name for the given event.
+         * @private
+         * @param {string} event - The event to get for.
+         * @returns {string} The array name.
+         */
+        static _getEventArrName(event){
+            let arrName;
+            switch(event){
+                case 'pre-update':
+                case 'post-update':
+                case 'update':
+                case 'finalize':
+                case 'constant':
+                case 'pending':
+                case 'resolved':
+                case 'rejected':
+                case 'error':
+                case 'dispose':
+                case 'change':
+                    arrName = `${event}-listeners`;
+                    break;
+                case 'filter':
+                    arrName = 'filters';
+                    break;
+                default:
+                    throw new Error(`[Dynx] Unrecognized event ${event}.`);
             }
+            return arrName;
         }
-    }
 
-    /**
-     * Returns the event array name for the given event.
-     * @private
-     * @param {string} event - The event to get for.
-     * @returns {string} The array name.
-     */
-    static _getEventArrName(event){
-        let arrName;
-        switch(event){
-            case 'pre-update':
-            case 'post-update':
-            case 'update':
-            case 'finalize':
-            case 'constant':
-                arrName = `${event}-listeners`;
-                break;
-            case 'filter':
-                arrName = 'filters';
-                break;
-            default:
-                throw new Error(`[Dynx] Unrecognized event ${event}.`);
-        }
-        return arrName;
+        /**
+         * Adds a new handler for a specific event.
+         * @param {string} event - The event to handle (update, preUpdate, postUpdate, filter, finalize, constant,
+         *     pending, resolved, rejected, error, dispose, change)
+         * @param {Filter|Listener} handler - The handler function.
+         * @param {boolean} [immediate=false] - True make an initial call to the handler.
+         * @param {number} [priority=0] - The priority of the handler (high is first).
+         * @return {Dynx} This for chaining.
+         */
+        on(event, handler, immediate=false, priority=0){
+            if(event === 'filter' && immediate)
+                throw new Error('[Dynx] Cannot use immediate with filter.');
+            let arrName = Dynx._getEventArrName(event);
+            this._addListener(arrName, handler, immediate, priority);
+            if(Dynx._currentOwner){
+                let owner = Dynx._currentOwner;
+                let cleanup = () => this.off(event, handler);
+                own(owner, cleanup);
+                //remembered by event and handler, so that off can drop the cleanup from its owner
+                if(!this._ownedListeners)
+                    this._ownedListeners = new Map();
+                let byHandler = this._ownedListeners.get(arrName);
+                if(!byHandler)
+                    this._ownedListeners.set(arrName, byHandler = new Map());
+                let entries = byHandler.get(handler);
+                if(!entries)
+                    byHandler.set(handler, entries = []);
+                entries.push({owner, cleanup});
+            }
+            if(event === 'filter')
+                this.update();
+            return this;
+        }
+
+        /**
+         * Removes a handle from a specific event.
+         * @param {string} event - The event to no longer handle (update, preUpdate, postUpdate, filter, finalize,
+         *     constant, pending, resolved, rejected, error, dispose, change)
+         * @param {Filter|Listener} handler - The handler function.
+         * @return {Dynx} This for chaining.
+         */
+        off(event, handler){
+            let arrName = Dynx._getEventArrName(event);
+            this._removeListener(arrName, handler);
+            let byHandler = this._ownedListeners && this._ownedListeners.get(arrName);
+            let entries = byHandler && byHandler.get(handler);
+            if(entries){
+                let {owner, cleanup} = entries.pop();
+                if(owner._owned)
+                    owner._owned.delete(cleanup);
+                if(entries.length == 0)
+                    byHandler.delete(handler);
+                if(byHandler.size == 0)
+                    this._ownedListeners.delete(arrName);
+            }
+            if(event === 'filter')
+                this.update();
+            return this;
+        }
+
+        /**
+         * Invalidates and returns this Dynx.
+         * @return {Dynx} This for chaining.
+         */
+        invalidate(){
+            this.value = INVALID;
+            return this;
+        }
+
+        /**
+         * Disposes this Dynx, immediately detaching it from all its parents and children. Afterwards, it keeps its last
+         * value as a constant. Lazy Dynxes which are dirty have no up-to-date value, so they become INVALID instead.
+         * @return {Dynx} This for chaining.
+         */
+        dispose(){
+            if(this.isDisposed)
+                return this;
+            //evaluating now could read parents which are already disposed
+            if(this._dirty){
+                delete this._dirty;
+                delete this._error;
+                this._value = INVALID;
+            }
+            this._triggerEvent('dispose', this._value);
+            this._isDisposed = true;
+            disown(this);
+            disposeOwned(this);
+            this._detachParents();
+            //detach children, they keep their last value until they next update
+            let arr = this['update-listeners'];
+            if(arr){
+                for(let lis of arr){
+                    if(lis.dynxListener)
+                        lis.dynxListener._parents.delete(this);
+                }
+            }
+            //discard all listeners
+            for(let event of ['pre-update', 'post-update', 'update', 'finalize', 'constant', 'pending', 'resolved',
+                    'rejected', 'error', 'dispose', 'change'])
+                delete this[Dynx._getEventArrName(event)];
+            delete this.filters;
+            //the listeners are gone, so their owners no longer need to remove them
+            if(this._ownedListeners){
+                for(let byHandler of this._ownedListeners.values()){
+                    for(let entries of byHandler.values()){
+                        for(let {owner, cleanup} of entries){
+                            if(owner._owned)
+                                owner._owned.delete(cleanup);
+                        }
+                    }
+                }
+                delete this._ownedListeners;
+            }
+            delete this._exp;
+            delete this._setter;
+            this._isFinal = true;
+            return this;
+        }
+
+        /**
+         * Makes this Dynx final with the given expression. If the value is omitted, uses the current expression.
+         * @param {Expression} [exp] - The expression to finalize with.
+         * @return {Dynx} This for chaining.
+         */
+        finalize(exp){
+            if(this.isFinal)
+                return this;
+            if(arguments.length !== 0){
+                if(this.isFinal)
+                    throw new Error('[Dynx] Cannot change the value of a finalized Dynx.');
+                if(typeof exp !== 'function')
+                    throw new Error(`[Dynx] Exp must be a function, not ${exp}.`);
+                this._exp = exp;
+            }
+            this._isFinal = true;
+            //as when setting the expression, a lazy Dynx is only evaluated once read
+            if(this._exp && this.lazy && !this['update-listeners'])
+                this._changed();
+            else
+                this.update(true);
+            this._triggerEvent('finalize', this._value);
+            return this;
+        }
+
+        /**
+         * Makes this Dynx a constant with the given value. If the value is omitted, uses the current value of the Dynx.
+         * @param {*} [value] - The value to mark as a constant with.
+         * @return {Dynx} This for chaining.
+         */
+        constant(value){
+            if(this.isConstant)
+                return this;
+            if(arguments.length !== 0){
+                if(this.isFinal)
+                    throw new Error('[Dynx] Cannot change the value of a finalized Dynx.');
+                this._init_value = value;
+            }
+            delete this._exp;
+            delete this._setter;
+            this._detachParents();
+            this._isFinal = true;
+            this.update(true);
+            this._triggerEvent('constant', this._value);
+            return this;
+        }
     }
 
     /**
-     * Adds a new handler for a specific event.
-     * @param {string} event - The event to handle (update, preUpdate, postUpdate, filter, finalize, constant)
-     * @param {Filter|Listener} handler - The handler function.
-     * @param {boolean} [immediate=false] - True make an initial call to the handler.
-     * @param {number} [priority=0] - The priority of the handler (high is first).
-     * @return {Dynx} This for chaining.
+     * A set of Dynx writes that are applied together.
+     * @class
      */
-    on(event, handler, immediate=false, priority=0){
-        if(event === 'filter' && immediate)
-            throw new Error('[Dynx] Cannot use immediate with filter.');
-        let arrName = Dynx._getEventArrName(event);
-        this._addListener(arrName, handler, immediate, priority);
-        if(event === 'filter')
-            this.update();
-        return this;
+    class Transaction {
+        /**
+         * Creates a new transaction.
+         * @constructor
+         * @param {Transaction} [parent] - The enclosing transaction, if any.
+         */
+        constructor(parent){
+            this._parent = parent;
+            //maps written Dynxes to their state before the first write
+            this._writes = new Map();
+        }
+
+        /**
+         * Records and applies a write without updating dependents.
+         * @private
+         * @param {Dynx} dynx - The Dynx being written.
+         * @param {*} value - The new constant value.
+         */
+        _write(dynx, value){
+            if(!this._writes.has(dynx)){
+                this._writes.set(dynx, {
+                    exp: dynx._exp,
+                    initValue: dynx._init_value,
+                    value: dynx._value,
+                    isErrored: '_error' in dynx,
+                    error: dynx._error,
+                    //the subscriptions of the expression, restored on rollback without evaluating it again
+                    parents: new Set(dynx._parents),
+                    updateHandle: dynx.updateHandle
+                });
+            }
+            let hadExp = Boolean(dynx._exp);
+            if(hadExp){
+                delete dynx._exp;
+                dynx._detachParents();
+            }
+            if(!dynx.equals(dynx._init_value, value) || hadExp){
+                dynx._init_value = value;
+                //only filtered, since anything the expression created must survive until commit
+                let result = dynx._evaluate(value);
+                dynx._value = result.value;
+                if('error' in result)
+                    dynx._error = result.error;
+                else
+                    delete dynx._error;
+            }
+        }
+
+        /**
+         * Throws if this is not the innermost transaction.
+         * @private
+         */
+        _checkActive(){
+            if(Dynx._transaction !== this)
+                throw new Error('[Dynx] Only the innermost transaction can be ended.');
+        }
+
+        /**
+         * Commits this transaction. If nested, the writes are merged into the enclosing transaction. Otherwise,
+         * listeners of each written Dynx are called once with the final value.
+         */
+        commit(){
+            this._checkActive();
+            Dynx._transaction = this._parent;
+            if(this._parent){
+                for(let [dynx, original] of this._writes){
+                    if(!this._parent._writes.has(dynx))
+                        this._parent._writes.set(dynx, original);
+                }
+            }else{
+                //anything created by a replaced expression is discarded, as it would be outside a transaction
+                for(let [dynx, original] of this._writes){
+                    if(original.exp && !dynx._exp)
+                        disposeOwned(dynx);
+                }
+                Dynx._propagate(() => {
+                    let tracer = Dynx._tracer;
+                    for(let [dynx, original] of this._writes){
+                        //skip Dynxes that ended up unchanged
+                        if(dynx._exp === original.exp && dynx.equals(dynx._init_value, original.initValue))
+                            continue;
+                        let newValue = dynx._value;
+                        dynx._value = original.value;
+                        //traced as a write, which causes the updates of the dependents it queues
+                        let entry = tracer && tracer.begin(dynx);
+                        dynx._triggerEvent('pre-update', dynx._value);
+                        dynx._value = newValue;
+                        dynx._triggerEvent('update', dynx._value);
+                        dynx._triggerEvent('post-update', dynx._value);
+                        if(tracer)
+                            tracer.end(entry);
+                    }
+                });
+            }
+        }
+
+        /**
+         * Rolls back this transaction, restoring every Dynx written in it.
+         */
+        rollback(){
+            this._checkActive();
+            Dynx._transaction = this._parent;
+            for(let [dynx, original] of this._writes){
+                if(original.exp)
+                    dynx._exp = original.exp;
+                else
+                    delete dynx._exp;
+                dynx._init_value = original.initValue;
+                dynx._value = original.value;
+                if(original.isErrored)
+                    dynx._error = original.error;
+                else
+                    delete dynx._error;
+                //resubscribe expressions to their old parents
+                if(original.exp && original.updateHandle && dynx.updateHandle !== original.updateHandle){
+                    dynx._detachParents();
+                    dynx.updateHandle = original.updateHandle;
+                    dynx.updateHandle.dynxListener = dynx;
+                    for(let parent of original.parents){
+                        dynx._parents.add(parent);
+                        parent._addListener('update-listeners', dynx.updateHandle);
+                    }
+                }
+            }
+        }
     }
 
     /**
-     * Removes a handle from a specific event.
-     * @param {string} event - The event to no longer handle (update, preUpdate, postUpdate, filter, finalize, constant)
-     * @param {Filter|Listener} handler - The handler function.
-     * @return {Dynx} This for chaining.
+     * An ownership scope. Dynxes, listeners and scopes created while it is active are disposed with it.
+     * @class
      */
-    off(event, handler){
-        let arrName = Dynx._getEventArrName(event);
-        this._removeListener(arrName, handler);
-        if(event === 'filter')
-            this.update();
-        return this;
+    class Scope {
+        /**
+         * Creates a new scope.
+         * @constructor
+         * @param {Scope|Dynx} [owner] - The owner of this scope, if any.
+         */
+        constructor(owner){
+            if(owner)
+                own(owner, this);
+        }
+
+        /**
+         * Returns true if this scope has been disposed.
+         * @returns {boolean} True if disposed.
+         */
+        get isDisposed(){
+            return Boolean(this._isDisposed);
+        }
+
+        /**
+         * Executes a block with this scope active.
+         * @param {Function} func - The function to be called.
+         * @param {[]} args - The arguments to call with.
+         * @returns {*} The return of the function.
+         */
+        run(func, ...args){
+            if(this.isDisposed)
+                throw new Error('[Dynx] Cannot run in a disposed scope.');
+            let owner = Dynx._currentOwner;
+            Dynx._currentOwner = this;
+            try{
+                return func(...args);
+            }finally{
+                Dynx._currentOwner = owner;
+            }
+        }
+
+        /**
+         * Disposes this scope and everything it owns.
+         */
+        dispose(){
+            if(this.isDisposed)
+                return;
+            this._isDisposed = true;
+            disown(this);
+            disposeOwned(this);
+        }
     }
 
     /**
-     * Invalidates and returns this Dynx.
-     * @return {Dynx} This for chaining.
+     * The stack of currently-evaluating Dynxes.
+     * @private
+     * @type {Array}
      */
-    invalidate(){
-        this.value = INVALID;
-        return this;
-    }
-
+    Dynx._childStack = function(){
+        let stack = [];
+        //create top prop for convenience
+        Object.defineProperty(stack, 'top', {
+            get(){
+                return this[this.length - 1];
+            }
+        });
+        return stack;
+    }();
+    //by default, report uncaught errors to the console
+    Dynx._uncaughtErrorHandler = function(error, dynx){
+        console.error('[Dynx] Uncaught error in expression.', error);
+    };
+    //cycles are not allowed by default
+    Dynx._maxIterations = 0;
+    //Dynxes are eager by default
+    Dynx._lazyByDefault = false;
+    //Dynxes update synchronously by default
+    Dynx._schedulerByDefault = sync;
+    //the Dynxes waiting on each scheduler
+    Dynx._pending = new Map();
+    //the pending flush of each scheduler
+    Dynx._flushes = new Map();
+    //the schedulers currently flushing
+    Dynx._flushing = new Set();
+    //true while a wave started by a scheduler is propagating
+    Dynx._reportErrors = false;
+    //the number of propagation waves so far
+    Dynx._wave = 0;
     /**
-     * Makes this Dynx final with the given expression. If the value is omitted, uses the current expression.
-     * @param {Expression} [exp] - The expression to finalize with.
-     * @return {Dynx} This for chaining.
+     * Preset schedulers for Dynx.scheduler.
+     * @type {Object<string, Scheduler>}
      */
-    finalize(exp){
-        if(this.isFinal)
-            return this;
-        if(arguments.length !== 0){
-            if(this.isFinal)
-                throw new Error('[Dynx] Cannot change the value of a finalized Dynx.');
-            if(typeof exp !== 'function')
-                throw new Error(`[Dynx] Exp must be a function, not ${exp}.`);
-            this._exp = exp;
-        }
-        this._isFinal = true;
-        this.update(true);
-        this._triggerEvent('finalize', this._value);
-        return this;
-    }
-
+    Dynx.schedulers = {sync, microtask, animationFrame};
+    Dynx.prototype[BRAND] = true;
+    //add to class for easy access
+    Dynx.INVALID = INVALID;
+    Dynx.CycleError = DynxCycleError;
     /**
-     * Makes this Dynx a constant with the given value. If the value is omitted, uses the current value of the Dynx.
-     * @param {*} [value] - The value to mark as a constant with.
-     * @return {Dynx} This for chaining.
+     * Preset comparators for Dynx.equals.
+     * @type {Object<string, Comparator>}
      */
-    constant(value){
-        if(this.isConstant)
-            return this;
-        if(arguments.length !== 0){
-            if(this.isFinal)
-                throw new Error('[Dynx] Cannot change the value of a finalized Dynx.');
-            this._init_value = value;
-        }
-        delete this._exp;
-        this._isFinal = true;
-        this.update(true);
-        this._triggerEvent('constant', this._value);
-        return this;
+    Dynx.equals = {strict, is: Object.is, shallow, deep};
+
+
+    //defined a wrapper function that allows new-less calls to set the expression.
+    let runtime = (function(originalDynx) {
+        /**
+         * Creates a new Dynx with an optional initial value or expression.
+         * Treats input as value if called with new, and as an expression if called without.
+         * @constructor
+         * @param {*|Expression} [value] - The initial value or expression.
+         * @param {Object} [options] - Additional options.
+         * @param {Comparator} [options.equals] - The comparator used to detect changes.
+         * @param {string} [options.name] - A name to identify this Dynx when debugging.
+         * @param {boolean} [options.lazy] - True if lazy, defaults to Dynx.lazy.
+         * @param {Scheduler} [options.scheduler] - The scheduler, defaults to Dynx.scheduler.
+         * @returns {Dynx} - The new Dynx instance.
+         */
+        const Dynx = function Dynx(value, options){
+            if(this && this instanceof Dynx){
+                return new originalDynx(...arguments);
+            }else{
+                let dynx = new Dynx(undefined, options);
+                dynx.exp = value;
+                return dynx;
+            }
+        };
+        //fix inheritance
+        Dynx.prototype = originalDynx.prototype;
+        //fix .constructor
+        Dynx.prototype.constructor = Dynx;
+        //fix static methods
+        Object.setPrototypeOf(Dynx, originalDynx);
+        initTransform(Dynx);
+        initAsync(Dynx);
+        initGraph(Dynx);
+        initTime(Dynx);
+        initInterop(Dynx);
+        initCollections(Dynx);
+        initReactive(Dynx);
+        initHistory(Dynx);
+        initSnapshot(Dynx);
+        initPersist(Dynx);
+        initEffect(Dynx);
+        return Dynx;
+    }(Dynx));
+    for(let key of Object.keys(config)){
+        if(!['lazy', 'scheduler', 'maxIterations', 'onUncaughtError', 'debug'].includes(key))
+            throw new Error(`[Dynx] Unrecognized runtime option ${key}.`);
+        runtime[key] = config[key];
     }
+    return runtime;
 }
 
-/**
- * The stack of currently-evaluating Dynxes.
- * @private
- * @type {Array}
- */
-Dynx._childStack = function(){
-    let stack = [];
-    //create top prop for convenience
-    Object.defineProperty(stack, 'top', {
-        get(){
-            return this[this.length - 1];
-        }
-    });
-    return stack;
-}();
-//add to class for easy access
-Dynx.INVALID = INVALID;
-
-
-//defined a wrapper function that allows new-less calls to set the expression.
-export default (function(originalDynx) {
-    /**
-     * Creates a new Dynx with an optional initial value or expression.
-     * Treats input as value if called with new, and as an expression if called without.
-     * @constructor
-     * @param {*|Expression} [value] - The initial value or expression.
-     * @returns {Dynx} - The new Dynx instance.
-     */
-    const Dynx = function Dynx(value){
-        if(this && this instanceof Dynx){
-            return new originalDynx(...arguments);
-        }else{
-            let dynx = new Dynx(undefined);
-            dynx.exp = value;
-            return dynx;
-        }
-    };
-    //fix inheritance
-    Dynx.prototype = originalDynx.prototype;
-    //fix .constructor
-    Dynx.prototype.constructor = Dynx;
-    //fix static methods
-    Object.setPrototypeOf(Dynx, originalDynx);
-    initTransform(Dynx);
-    return Dynx;
-}(Dynx));
+export default createRuntime();
@@ -1,8 +1,37 @@
 import mocha from 'mocha';
 import {assert} from 'chai';
-import Dynx, {INVALID} from '../dynx';
+import Dynx, {INVALID, DynxCycleError} from '../dynx';
 
 mocha.describe('Dynx', () => {
+    function createClock(){
+        let timers = new Map();
+        let nextId = 0;
+        let clock = {
+            time: 0,
+            now: () => clock.time,
+            setTimeout: (func, ms) => {
+                timers.set(++nextId, {func, time: clock.time + ms});
+                return nextId;
+            },
+            clearTimeout: id => timers.delete(id),
+            advance: ms => {
+                let end = clock.time + ms;
+                let next;
+                while((next = [...timers].filter(([, timer]) => timer.time <= end)
+                        .sort(([, a], [, b]) => a.time - b.time)[0])){
+                    let [id, timer] = next;
+                    timers.delete(id);
+                    clock.time = timer.time;
+                    timer.func();
+                }
+                clock.time = end;
+            },
+            get pending(){
+                return timers.size;
+            }
+        };
+        return clock;
+    }
     mocha.describe('value', () => {
         mocha.it('can be initialized', () => {
             let dynx = new Dynx(undefined);
@@ -50,8 +79,8 @@ mocha.describe('Dynx', () => {
                 }
             });
             assert.equal(counter, 2);
-            dynx.value++;
-            assert.equal(counter, 2);
+            //the re-run disposes Dynxes created by the first run
+            assert.isTrue(dynx.isDisposed);
 
             counter = 0;
             dynx = undefined;
@@ -143,6 +172,48 @@ mocha.describe('Dynx', () => {
             in2.value++;
             assert.isTrue(called);
         });
+        mocha.it('updates in topological order', () => {
+            let a = new Dynx(1);
+            let b = Dynx(() => a.value * 2);
+            let c = Dynx(() => b.value + 1);
+            let values = [];
+            let d = Dynx(() => {
+                values.push([a.value, c.value]);
+                return a.value + c.value;
+            });
+            values = [];
+            a.value = 2;
+            assert.deepEqual(values, [[2, 5]]);
+            assert.strictEqual(d.value, 7);
+
+            let counter = 0;
+            let e = Dynx(() => {
+                counter++;
+                return b.value + c.value;
+            });
+            counter = 0;
+            a.value = 3;
+            assert.strictEqual(counter, 1);
+            assert.strictEqual(e.value, 13);
+        });
+        mocha.it('stays consistent when subscriptions change', () => {
+            let fork = new Dynx(true);
+            let a = new Dynx(1);
+            let deep = Dynx(() => a.value * 10).transform(x => x + 1);
+            let values = [];
+            let out = Dynx(() => {
+                let value = fork.value ? a.value : deep.value;
+                values.push(value);
+                return value;
+            });
+            values = [];
+            Dynx.batch(() => {
+                fork.value = false;
+                a.value = 2;
+            });
+            assert.deepEqual(values, [21]);
+            assert.strictEqual(out.value, 21);
+        });
     });
     mocha.describe('event', () => {
         mocha.it('sends updates', () => {
@@ -216,6 +287,1518 @@ mocha.describe('Dynx', () => {
             assert.equal(three, 5, 'three');
         });
     });
+    mocha.describe('lazy', () => {
+        mocha.afterEach(() => {
+            Dynx.lazy = false;
+        });
+        mocha.it('evaluates when read', () => {
+            let source = new Dynx(1);
+            let counter = 0;
+            let dynx = Dynx(() => {
+                counter++;
+                return source.value * 2;
+            }, {lazy: true});
+            assert.strictEqual(counter, 0);
+            assert.strictEqual(dynx.value, 2);
+            assert.strictEqual(counter, 1);
+            source.value = 2;
+            source.value = 3;
+            assert.strictEqual(counter, 1);
+            assert.strictEqual(dynx.value, 6);
+            assert.strictEqual(dynx.value, 6);
+            assert.strictEqual(counter, 2);
+        });
+        mocha.it('pushes when listened to', () => {
+            Dynx.lazy = true;
+            let source = new Dynx(1);
+            let counter = 0;
+            let dynx = Dynx(() => {
+                counter++;
+                return source.value * 2;
+            });
+            let child = Dynx(() => dynx.value + 1);
+            assert.strictEqual(counter, 0);
+            let updates = [];
+            child.on('update', value => updates.push(value));
+            assert.strictEqual(counter, 1);
+            source.value = 2;
+            assert.strictEqual(counter, 2);
+            assert.deepEqual(updates, [5]);
+            child.dispose();
+            source.value = 3;
+            source.value = 4;
+            assert.strictEqual(counter, 2);
+            assert.strictEqual(dynx.value, 8);
+        });
+        mocha.it('is invalid if disposed while dirty', () => {
+            let counter = 0;
+            let dynx = Dynx(() => ++counter, {lazy: true});
+            dynx.dispose();
+            assert.strictEqual(dynx.value, INVALID);
+            assert.strictEqual(counter, 0);
+            let source = new Dynx(1);
+            let stale = Dynx(() => source.value, {lazy: true});
+            assert.strictEqual(stale.value, 1);
+            source.value = 2;
+            stale.dispose();
+            assert.strictEqual(stale.value, INVALID);
+        });
+    });
+    mocha.describe('equals', () => {
+        mocha.it('is used by update', () => {
+            let source = new Dynx(1);
+            let counter = 0;
+            let dynx = Dynx(() => [source.value > 0], {equals: Dynx.equals.shallow});
+            let value = dynx.value;
+            dynx.on('update', () => counter++);
+            source.value = 2;
+            assert.strictEqual(counter, 0);
+            assert.strictEqual(dynx.value, value);
+            source.value = -1;
+            assert.strictEqual(counter, 1);
+            assert.deepEqual(dynx.value, [false]);
+        });
+        mocha.it('is used by value', () => {
+            let counter = 0;
+            let dynx = new Dynx(NaN);
+            dynx.on('update', () => counter++);
+            dynx.value = NaN;
+            assert.strictEqual(counter, 1);
+            dynx.equals = Dynx.equals.is;
+            dynx.value = NaN;
+            assert.strictEqual(counter, 1);
+        });
+        mocha.it('has presets', () => {
+            let {strict, is, shallow, deep} = Dynx.equals;
+            assert.isFalse(strict(NaN, NaN));
+            assert.isTrue(is(NaN, NaN));
+            assert.isTrue(shallow([1, 2], [1, 2]));
+            assert.isFalse(shallow([[1]], [[1]]));
+            assert.isFalse(shallow({a: 1}, {a: 1, b: 2}));
+            assert.isTrue(deep({a: [1, {b: 2}]}, {a: [1, {b: 2}]}));
+            assert.isFalse(deep({a: [1, {b: 2}]}, {a: [1, {b: 3}]}));
+            assert.isTrue(deep(new Date(5), new Date(5)));
+            assert.isFalse(deep(INVALID, {}));
+        });
+    });
+    mocha.describe('scheduler', () => {
+        mocha.afterEach(() => {
+            Dynx.scheduler = Dynx.schedulers.sync;
+        });
+        mocha.it('coalesces updates', () => {
+            Dynx.scheduler = Dynx.schedulers.microtask;
+            let a = new Dynx(1);
+            let b = new Dynx(2);
+            let counter = 0;
+            let sum = Dynx(() => {
+                counter++;
+                return a.value + b.value;
+            });
+            let updates = [];
+            sum.on('update', value => updates.push(value));
+            counter = 0;
+            a.value = 2;
+            b.value = 3;
+            a.value = 4;
+            assert.strictEqual(counter, 0);
+            return Dynx.settled().then(() => {
+                assert.strictEqual(counter, 1);
+                assert.deepEqual(updates, [7]);
+            });
+        });
+        mocha.it('can be flushed', () => {
+            let a = new Dynx(1);
+            let double = Dynx(() => a.value * 2, {scheduler: Dynx.schedulers.microtask});
+            let updates = [];
+            double.on('update', value => updates.push(value));
+            a.value = 2;
+            assert.deepEqual(updates, []);
+            Dynx.flush();
+            assert.deepEqual(updates, [4]);
+        });
+        mocha.it('updates when read', () => {
+            let a = new Dynx(1);
+            let double = Dynx(() => a.value * 2, {scheduler: Dynx.schedulers.animationFrame});
+            let quad = Dynx(() => double.value * 2);
+            a.value = 2;
+            assert.strictEqual(double.value, 4);
+            assert.strictEqual(quad.value, 8);
+            return Dynx.settled();
+        });
+        mocha.it('reports errors from flushing', () => {
+            let handler = Dynx.onUncaughtError;
+            let errors = [];
+            Dynx.onUncaughtError = (error, dynx) => errors.push([error.message, dynx]);
+            let a = new Dynx(1);
+            let double = Dynx(() => a.value * 2, {scheduler: Dynx.schedulers.microtask});
+            let triple = Dynx(() => a.value * 3, {scheduler: Dynx.schedulers.microtask});
+            double.on('update', () => {
+                throw new Error('listener');
+            });
+            triple.on('update', () => {
+                throw new Error('listener');
+            });
+            a.value = 2;
+            return Dynx.settled().then(() => {
+                Dynx.onUncaughtError = handler;
+                assert.deepEqual(errors, [['listener', double], ['listener', triple]]);
+                assert.strictEqual(double.value, 4);
+                assert.strictEqual(triple.value, 6);
+            }, err => {
+                Dynx.onUncaughtError = handler;
+                throw err;
+            });
+        });
+    });
+    mocha.describe('batch', () => {
+        mocha.it('defers updates', () => {
+            let a = new Dynx(0);
+            let b = new Dynx(0);
+            let counter = 0;
+            let sum = Dynx(() => {
+                counter++;
+                return a.value + b.value;
+            });
+            let updates = [];
+            sum.on('update', value => updates.push(value));
+            counter = 0;
+            Dynx.batch(() => {
+                a.value = 1;
+                b.value = 2;
+                assert.strictEqual(a.value, 1);
+                assert.strictEqual(counter, 0);
+            });
+            assert.strictEqual(counter, 1);
+            assert.strictEqual(sum.value, 3);
+            assert.deepEqual(updates, [3]);
+        });
+        mocha.it('fires listeners once', () => {
+            let dynx = new Dynx(0);
+            let pre = [], post = [], updates = [];
+            dynx.on('pre-update', value => pre.push(value));
+            dynx.on('update', value => updates.push(value));
+            dynx.on('post-update', value => post.push(value));
+            Dynx.batch(() => {
+                dynx.value = 1;
+                dynx.value = 2;
+                dynx.value++;
+            });
+            assert.deepEqual(pre, [0]);
+            assert.deepEqual(updates, [3]);
+            assert.deepEqual(post, [3]);
+        });
+        mocha.it('merges nested batches', () => {
+            let dynx = new Dynx(0);
+            let counter = 0;
+            dynx.on('update', () => counter++);
+            Dynx.batch(() => {
+                dynx.value = 1;
+                Dynx.batch(() => dynx.value = 2);
+                assert.strictEqual(counter, 0);
+            });
+            assert.strictEqual(counter, 1);
+            assert.strictEqual(dynx.value, 2);
+        });
+        mocha.it('rolls back on error', () => {
+            let a = new Dynx(0);
+            let b = new Dynx(0);
+            let double = Dynx(() => a.value * 2);
+            let counter = 0;
+            double.on('update', () => counter++);
+            assert.throws(() => Dynx.batch(() => {
+                a.value = 5;
+                b.value = 5;
+                throw new Error('test');
+            }), 'test');
+            assert.strictEqual(a.value, 0);
+            assert.strictEqual(b.value, 0);
+            assert.strictEqual(counter, 0);
+            a.value = 1;
+            assert.strictEqual(double.value, 2);
+
+            Dynx.batch(() => {
+                a.value = 2;
+                try{
+                    Dynx.batch(() => {
+                        a.value = 3;
+                        throw new Error('test');
+                    });
+                }catch(err){}
+                assert.strictEqual(a.value, 2);
+            });
+            assert.strictEqual(double.value, 4);
+        });
+        mocha.it('replaces expressions written in a batch', () => {
+            let dynx = Dynx(() => 5);
+            Dynx.batch(() => dynx.value = undefined);
+            assert.isUndefined(dynx.value);
+        });
+        mocha.it('restores overwritten expressions on rollback without running them', () => {
+            let src = new Dynx(1);
+            let runs = 0;
+            let dynx = Dynx(() => {
+                runs++;
+                return new Dynx(src.value);
+            });
+            let inner = dynx.value;
+            assert.throws(() => Dynx.batch(() => {
+                dynx.value = 5;
+                throw new Error('test');
+            }), 'test');
+            assert.strictEqual(runs, 1);
+            assert.strictEqual(dynx.value, inner);
+            assert.isFalse(inner.isDisposed);
+            src.value = 2;
+            assert.strictEqual(runs, 2);
+            assert.strictEqual(dynx.value.value, 2);
+            assert.isTrue(inner.isDisposed);
+        });
+        mocha.it('can be used as a transaction', () => {
+            let dynx = new Dynx(0);
+            let transaction = Dynx.transaction();
+            dynx.value = 1;
+            transaction.rollback();
+            assert.strictEqual(dynx.value, 0);
+            transaction = Dynx.transaction();
+            dynx.value = 2;
+            transaction.commit();
+            assert.strictEqual(dynx.value, 2);
+        });
+    });
+    mocha.describe('async', () => {
+        function defer(){
+            let deferred = {};
+            deferred.promise = new Promise((resolve, reject) => {
+                deferred.resolve = resolve;
+                deferred.reject = reject;
+            });
+            return deferred;
+        }
+        mocha.it('is pending until resolved', () => {
+            let deferred = defer();
+            let events = [];
+            let dynx = Dynx.async(() => deferred.promise);
+            dynx.on('resolved', value => events.push(value));
+            assert.strictEqual(dynx.value, INVALID);
+            assert.isTrue(dynx.isPending);
+            deferred.resolve(5);
+            return deferred.promise.then(() => {
+                assert.strictEqual(dynx.value, 5);
+                assert.isFalse(dynx.isPending);
+                assert.deepEqual(events, [5]);
+            });
+        });
+        mocha.it('tracks the pending state', () => {
+            let deferred = defer();
+            let dynx = Dynx.async(() => deferred.promise);
+            let status = Dynx(() => dynx.isPending ? 'loading' : 'done');
+            assert.strictEqual(status.value, 'loading');
+            deferred.resolve(5);
+            return deferred.promise.then(() => {
+                assert.strictEqual(status.value, 'done');
+            });
+        });
+        mocha.it('uses a placeholder', () => {
+            let dynx = Dynx.async(() => new Promise(() => {}), 'loading');
+            assert.strictEqual(dynx.value, 'loading');
+        });
+        mocha.it('tracks dependencies', () => {
+            let input = new Dynx(1);
+            let deferreds = [];
+            let dynx = Dynx.async(() => {
+                let value = input.value;
+                let deferred = defer();
+                deferreds.push(deferred);
+                return deferred.promise.then(x => x * value);
+            });
+            let pendingCount = 0;
+            dynx.on('pending', () => pendingCount++);
+            input.value = 2;
+            assert.strictEqual(deferreds.length, 2);
+            assert.strictEqual(pendingCount, 1);
+            //resolve the outdated evaluation last
+            deferreds[1].resolve(10);
+            return deferreds[1].promise.then(() => {
+                deferreds[0].resolve(100);
+                return deferreds[0].promise;
+            }).then(() => {
+                assert.strictEqual(dynx.value, 20);
+            });
+        });
+        mocha.it('can be rejected', () => {
+            let deferred = defer();
+            let events = [];
+            let dynx = Dynx.async(() => deferred.promise);
+            dynx.on('error', err => events.push('error'));
+            dynx.on('rejected', err => events.push(err.message));
+            deferred.reject(new Error('test'));
+            return deferred.promise.catch(() => {}).then(() => {
+                assert.strictEqual(dynx.value, INVALID);
+                assert.isFalse(dynx.isPending);
+                assert.isTrue(dynx.isErrored);
+                assert.strictEqual(dynx.error.message, 'test');
+                assert.deepEqual(events, ['error', 'test']);
+            });
+        });
+    });
+    mocha.describe('interop', () => {
+        mocha.it('can be subscribed to', () => {
+            let dynx = new Dynx(1);
+            let values = [];
+            let completed = false;
+            let subscription = dynx.subscribe({next: value => values.push(value), complete: () => completed = true});
+            dynx.value = 2;
+            subscription.unsubscribe();
+            dynx.value = 3;
+            assert.deepEqual(values, [1, 2]);
+            assert.isTrue(subscription.closed);
+            assert.isFalse(completed);
+            dynx.subscribe(value => values.push(value), undefined, () => completed = true);
+            dynx.dispose();
+            assert.isTrue(completed);
+        });
+        mocha.it('can be iterated asynchronously', () => {
+            let dynx = new Dynx(1);
+            let iterator = dynx[Symbol.asyncIterator]();
+            dynx.value = 2;
+            return iterator.next().then(result => {
+                assert.deepEqual(result, {value: 1, done: false});
+                return iterator.next();
+            }).then(result => {
+                assert.deepEqual(result, {value: 2, done: false});
+                let next = iterator.next();
+                dynx.constant(3);
+                return next;
+            }).then(result => {
+                assert.deepEqual(result, {value: 3, done: false});
+                return iterator.next();
+            }).then(result => {
+                assert.isTrue(result.done);
+            });
+        });
+        mocha.it('can wait for a condition', () => {
+            let dynx = new Dynx(1);
+            let promise = dynx.when(value => value > 2);
+            dynx.value = 2;
+            dynx.value = 3;
+            dynx.value = 4;
+            return promise.then(value => {
+                assert.strictEqual(value, 3);
+                assert.isFalse('update-listeners' in dynx);
+                return new Dynx(1).constant().when(value => value > 2).then(() => assert.fail(), err => {
+                    assert.include(err.message, 'can no longer change');
+                });
+            });
+        });
+        mocha.it('can be created from a promise', () => {
+            let resolved = Promise.resolve(5);
+            let rejected = Promise.reject(new Error('test'));
+            let a = Dynx.from(resolved);
+            let b = Dynx.from(rejected);
+            b.on('error', () => {});
+            assert.strictEqual(a.value, INVALID);
+            return Promise.all([resolved, rejected.catch(() => {})]).then(() => {
+                assert.strictEqual(a.value, 5);
+                assert.isTrue(a.isConstant);
+                assert.strictEqual(b.error.message, 'test');
+            });
+        });
+        mocha.it('can be created from an observable', () => {
+            let observer;
+            let unsubscribed = false;
+            let observable = {
+                subscribe(obs){
+                    observer = obs;
+                    obs.next(1);
+                    return {unsubscribe: () => unsubscribed = true};
+                }
+            };
+            let dynx = Dynx.from(observable);
+            assert.strictEqual(dynx.value, 1);
+            observer.next(2);
+            assert.strictEqual(dynx.value, 2);
+            dynx.dispose();
+            assert.isTrue(unsubscribed);
+            let source = new Dynx(1);
+            let copy = Dynx.from(source);
+            source.value = 2;
+            assert.strictEqual(copy.value, 2);
+        });
+        mocha.it('can be created from an async iterable', () => {
+            let values = [1, 2];
+            let iterable = {
+                [Symbol.asyncIterator]: () => ({
+                    next: () => Promise.resolve(values.length ? {value: values.shift(), done: false} : {done: true})
+                })
+            };
+            let dynx = Dynx.from(iterable);
+            let seen = [];
+            dynx.on('update', value => seen.push(value));
+            return dynx.when(() => dynx.isConstant).then(value => {
+                assert.strictEqual(value, 2);
+                assert.deepEqual(seen.slice(0, 2), [1, 2]);
+            });
+        });
+    });
+    mocha.describe('collections', () => {
+        mocha.it('emits change records', () => {
+            let arr = new Dynx.Array([1, 2, 3]);
+            let records = [];
+            arr.on('change', record => records.push(record));
+            arr.push(4);
+            arr.set(0, 0);
+            arr.splice(1, 2);
+            assert.deepEqual(arr.toArray(), [0, 4]);
+            assert.deepEqual(records, [
+                {type: 'splice', index: 3, removed: [], added: [4]},
+                {type: 'set', index: 0, value: 0, oldValue: 1},
+                {type: 'splice', index: 1, removed: [2, 3], added: []}
+            ]);
+        });
+        mocha.it('tracks single indices and length', () => {
+            let arr = new Dynx.Array(['a', 'b', 'c']);
+            let firstCount = 0;
+            let lengthCount = 0;
+            let first = Dynx(() => (firstCount++, arr.get(0)));
+            let length = Dynx(() => (lengthCount++, arr.length));
+            let joined = Dynx(() => arr.toArray().join(''));
+            arr.set(2, 'd');
+            assert.strictEqual(firstCount, 1);
+            assert.strictEqual(lengthCount, 1);
+            assert.strictEqual(joined.value, 'abd');
+            arr.push('e');
+            assert.strictEqual(firstCount, 1);
+            assert.strictEqual(length.value, 4);
+            arr.shift();
+            assert.strictEqual(first.value, 'b');
+            assert.strictEqual(joined.value, 'bde');
+        });
+        mocha.it('tracks single keys and size', () => {
+            let map = new Dynx.Map([['a', 1]]);
+            let aCount = 0;
+            let a = Dynx(() => (aCount++, map.get('a')));
+            let hasB = Dynx(() => map.has('b'));
+            let size = Dynx(() => map.size);
+            map.set('b', 2);
+            assert.strictEqual(aCount, 1);
+            assert.isTrue(hasB.value);
+            assert.strictEqual(size.value, 2);
+            map.delete('a');
+            assert.strictEqual(a.value, undefined);
+            assert.strictEqual(size.value, 1);
+            map.clear();
+            assert.isFalse(hasB.value);
+            assert.deepEqual([...map.keys()], []);
+            map.set(NaN, 1);
+            let nan = Dynx(() => map.get(NaN));
+            map.set(NaN, 2);
+            assert.strictEqual(nan.value, 2);
+        });
+        mocha.it('removes unused slots', () => {
+            let map = new Dynx.Map([['a', 1]]);
+            let a = Dynx(() => map.get('a'));
+            assert.strictEqual(map._slots.size, 1);
+            a.dispose();
+            map.set('a', 2);
+            assert.strictEqual(map._slots.size, 0);
+            let b = Dynx(() => map.get('a'));
+            map.set('a', 3);
+            assert.strictEqual(b.value, 3);
+        });
+        mocha.it('derives collections incrementally', () => {
+            let arr = new Dynx.Array([3, 1, 2]);
+            let mapCount = 0;
+            let doubled = arr.map(x => (mapCount++, x * 2));
+            let odd = arr.filter(x => x % 2 == 1);
+            let sorted = arr.sort();
+            let sum = arr.reduce((a, b) => a + b, 0);
+            arr.push(5);
+            arr.set(0, 4);
+            arr.splice(1, 1);
+            assert.strictEqual(mapCount, 5);
+            assert.deepEqual(doubled.toArray(), [8, 4, 10]);
+            assert.deepEqual(odd.toArray(), [5]);
+            assert.deepEqual(sorted.toArray(), [2, 4, 5]);
+            assert.strictEqual(sum.value, 11);
+            assert.throws(() => doubled.push(1), /derived/);
+            doubled.dispose();
+            arr.push(6);
+            assert.deepEqual(doubled.toArray(), [8, 4, 10]);
+        });
+    });
+    mocha.describe('reactive', () => {
+        mocha.it('tracks single properties', () => {
+            let state = Dynx.reactive({a: 1, b: 2});
+            let aCount = 0;
+            let a = Dynx(() => (aCount++, state.a));
+            let keys = Dynx(() => Object.keys(state).join());
+            state.b = 3;
+            assert.strictEqual(aCount, 1);
+            assert.strictEqual(keys.value, 'a,b');
+            state.a = 4;
+            assert.strictEqual(a.value, 4);
+            state.c = 5;
+            assert.strictEqual(keys.value, 'a,b,c');
+            delete state.a;
+            assert.strictEqual(a.value, undefined);
+            assert.strictEqual(keys.value, 'b,c');
+        });
+        mocha.it('wraps nested objects lazily', () => {
+            let raw = {user: {name: 'a'}, items: [1, 2]};
+            let state = Dynx.reactive(raw);
+            let name = Dynx(() => state.user.name);
+            let count = Dynx(() => state.items.length);
+            let last = Dynx(() => state.items[state.items.length - 1]);
+            assert.strictEqual(state.user, state.user);
+            assert.strictEqual(Dynx.toRaw(state.user), raw.user);
+            state.user.name = 'b';
+            assert.strictEqual(name.value, 'b');
+            state.items.push(3);
+            assert.strictEqual(count.value, 3);
+            assert.strictEqual(last.value, 3);
+            state.items.length = 1;
+            assert.strictEqual(last.value, 1);
+            state.user = {name: 'c'};
+            assert.strictEqual(name.value, 'c');
+        });
+        mocha.it('can be unwrapped', () => {
+            let raw = {a: 1};
+            let state = Dynx.reactive(raw);
+            assert.strictEqual(Dynx.toRaw(state), raw);
+            assert.strictEqual(Dynx.reactive(raw), state);
+            assert.strictEqual(Dynx.reactive(state), state);
+            assert.strictEqual(Dynx.toRaw(raw), raw);
+            state.b = state;
+            assert.strictEqual(raw.b, raw);
+        });
+    });
+    mocha.describe('lens', () => {
+        mocha.it('can have a setter', () => {
+            let celsius = new Dynx(0);
+            let fahrenheit = Dynx.computed({
+                get: () => celsius.value * 9 / 5 + 32,
+                set: value => celsius.value = (value - 32) * 5 / 9
+            });
+            assert.strictEqual(fahrenheit.value, 32);
+            fahrenheit.value = 212;
+            assert.strictEqual(celsius.value, 100);
+            assert.strictEqual(fahrenheit.value, 212);
+            let readOnly = Dynx.computed({get: () => celsius.value});
+            assert.throws(() => readOnly.value = 1, /finalized/);
+        });
+        mocha.it('can write attributes immutably', () => {
+            let address = {city: 'a', zip: 1};
+            let user = new Dynx({name: 'x', address});
+            let key = new Dynx('city');
+            let field = user.attr('address', key);
+            let nested = user.attr('address').attr('zip');
+            field.value = 'b';
+            assert.strictEqual(user.value.address.city, 'b');
+            assert.strictEqual(address.city, 'a');
+            assert.strictEqual(field.value, 'b');
+            key.value = 'zip';
+            field.value = 2;
+            assert.strictEqual(nested.value, 2);
+            nested.value = 3;
+            assert.deepEqual(user.value, {name: 'x', address: {city: 'b', zip: 3}});
+            assert.throws(() => new Dynx(null).attr('a').value = 1, /Cannot set/);
+            let base = new Dynx({a: 1});
+            let doubled = Dynx(() => ({a: base.value.a * 2}));
+            assert.throws(() => doubled.attr('a').value = 10, /expression/);
+            assert.throws(() => doubled.attr('a', {mutate: true}).value = 10, /expression/);
+            base.value = {a: 2};
+            assert.strictEqual(doubled.value.a, 4);
+        });
+        mocha.it('can write attributes in place', () => {
+            let obj = {a: {b: 1}};
+            let source = new Dynx(obj);
+            let a = source.attr('a', {mutate: true});
+            let b = a.attr('b', {mutate: true});
+            let copy = Dynx(() => source.value.a.b);
+            b.value = 2;
+            assert.strictEqual(obj.a.b, 2);
+            assert.strictEqual(source.value, obj);
+            assert.strictEqual(b.value, 2);
+            assert.strictEqual(copy.value, 2);
+        });
+    });
+    mocha.describe('history', () => {
+        mocha.it('can undo and redo', () => {
+            let a = new Dynx(1);
+            let b = new Dynx('x');
+            let history = Dynx.history([a, b]);
+            assert.isFalse(history.canUndo.value);
+            a.value = 2;
+            Dynx.batch(() => {
+                a.value = 3;
+                b.value = INVALID;
+            });
+            assert.isTrue(history.canUndo.value);
+            assert.isTrue(history.undo());
+            assert.strictEqual(a.value, 2);
+            assert.strictEqual(b.value, 'x');
+            assert.isTrue(history.canRedo.value);
+            history.undo();
+            assert.strictEqual(a.value, 1);
+            assert.isFalse(history.canUndo.value);
+            assert.isFalse(history.undo());
+            history.redo();
+            history.redo();
+            assert.strictEqual(a.value, 3);
+            assert.strictEqual(b.value, INVALID);
+            history.undo();
+            b.value = 'y';
+            assert.isFalse(history.canRedo.value);
+        });
+        mocha.it('groups changes in the same wave', () => {
+            let a = new Dynx(1);
+            let b = new Dynx(1);
+            a.on('update', value => b.value = value * 10);
+            let history = Dynx.history([a, b]);
+            a.value = 2;
+            assert.strictEqual(b.value, 20);
+            history.undo();
+            assert.strictEqual(a.value, 1);
+            assert.isFalse(history.canUndo.value);
+        });
+        mocha.it('supports limits and checkpoints', () => {
+            let a = new Dynx(0);
+            let history = Dynx.history([a], {limit: 2});
+            let start = history.checkpoint();
+            a.value = 1;
+            let one = history.checkpoint();
+            a.value = 2;
+            a.value = 3;
+            assert.throws(() => history.revert(start), /no longer/);
+            history.revert(one);
+            assert.strictEqual(a.value, 1);
+            history.revert(history.checkpoint());
+            assert.strictEqual(a.value, 1);
+        });
+        mocha.it('skips constant Dynxes', () => {
+            let a = new Dynx(1);
+            let b = new Dynx(1);
+            let history = Dynx.history([a, b]);
+            Dynx.batch(() => {
+                a.value = 2;
+                b.value = 2;
+            });
+            b.constant();
+            history.undo();
+            assert.strictEqual(a.value, 1);
+            assert.strictEqual(b.value, 2);
+        });
+    });
+    mocha.describe('snapshot', () => {
+        mocha.it('can capture and restore values', () => {
+            let a = new Dynx(1);
+            let b = new Dynx(INVALID);
+            let date = new Dynx(new Date(0));
+            let registry = Dynx.registry({a, b});
+            registry.register('date', date, {serialize: d => d.getTime(), deserialize: t => new Date(t)});
+            let snapshot = JSON.parse(JSON.stringify(Dynx.snapshot(registry)));
+            assert.deepEqual(snapshot, {a: {value: 1}, b: {invalid: true}, date: {value: 0}});
+            a.value = 2;
+            b.value = 3;
+            date.value = new Date(5);
+            let count = 0;
+            let sum = Dynx(() => (count++, a.value + date.value.getTime()));
+            Dynx.hydrate(registry, snapshot);
+            assert.strictEqual(a.value, 1);
+            assert.strictEqual(b.value, INVALID);
+            assert.strictEqual(date.value.getTime(), 0);
+            assert.strictEqual(sum.value, 1);
+            assert.strictEqual(count, 2);
+            assert.throws(() => registry.register('a', a), /already registered/);
+        });
+        mocha.it('skips constants and expressions', () => {
+            let warn = console.warn;
+            let warnings = [];
+            console.warn = message => warnings.push(message);
+            try{
+                let a = new Dynx(1);
+                let registry = Dynx.registry({a, b: new Dynx(2).constant(), c: Dynx(() => a.value).finalize()});
+                let snapshot = Dynx.snapshot(registry);
+                assert.deepEqual(snapshot, {a: {value: 1}});
+                Dynx.hydrate(registry, {a: {value: 3}, b: {value: 4}});
+                assert.strictEqual(registry.get('b').value, 2);
+                assert.strictEqual(a.value, 3);
+                assert.lengthOf(warnings, 3);
+                assert.include(warnings[0], 'b, since it is constant');
+                assert.include(warnings[1], 'c, since it is a finalized expression');
+            }finally{
+                console.warn = warn;
+            }
+        });
+    });
+    mocha.describe('persist', () => {
+        mocha.it('loads and saves values', () => {
+            let storage = new Map([['count', JSON.stringify({version: 0, value: 5})]]);
+            let dynx = new Dynx(0);
+            let persistence = Dynx.persist(dynx, Dynx.adapters.memory(storage), 'count');
+            assert.strictEqual(dynx.value, 5);
+            dynx.value = 6;
+            assert.deepEqual(JSON.parse(storage.get('count')), {version: 0, value: 6});
+            dynx.value = INVALID;
+            assert.isFalse(storage.has('count'));
+            persistence.dispose();
+            dynx.value = 7;
+            assert.isFalse(storage.has('count'));
+        });
+        mocha.it('migrates old or corrupt data', () => {
+            let storage = new Map([['a', JSON.stringify({version: 1, value: 'x'})], ['b', '{corrupt'], ['c', '{']]);
+            let adapter = Dynx.adapters.memory(storage);
+            let migrations = [];
+            let migrate = (data, version) => (migrations.push(version), version === 1 ? [data] : undefined);
+            let a = new Dynx([]);
+            let b = new Dynx(['kept']);
+            let c = new Dynx(['kept']);
+            Dynx.persist(a, adapter, 'a', {version: 2, migrate});
+            Dynx.persist(b, adapter, 'b', {version: 2, migrate});
+            Dynx.persist(c, adapter, 'c', {version: 2});
+            assert.deepEqual(a.value, ['x']);
+            assert.deepEqual(JSON.parse(storage.get('a')), {version: 2, value: ['x']});
+            assert.deepEqual(b.value, ['kept']);
+            assert.deepEqual(c.value, ['kept']);
+            assert.deepEqual(migrations, [1, undefined]);
+            assert.strictEqual(storage.get('c'), '{');
+        });
+        mocha.it('debounces saves', () => {
+            let clock = createClock();
+            let storage = new Map();
+            let dynx = new Dynx(new Set([1]));
+            Dynx.persist(dynx, Dynx.adapters.memory(storage), 'set', {debounce: 100, clock,
+                serialize: set => [...set], deserialize: arr => new Set(arr)});
+            dynx.value = new Set([1, 2]);
+            clock.advance(50);
+            dynx.value = new Set([1, 2, 3]);
+            assert.isFalse(storage.has('set'));
+            clock.advance(100);
+            assert.deepEqual(JSON.parse(storage.get('set')).value, [1, 2, 3]);
+            dynx.value = new Set();
+            dynx.dispose();
+            assert.deepEqual(JSON.parse(storage.get('set')).value, []);
+        });
+        mocha.it('has storage adapters', () => {
+            let items = {};
+            let storage = {
+                getItem: key => key in items ? items[key] : null,
+                setItem: (key, value) => items[key] = value,
+                removeItem: key => delete items[key]
+            };
+            let files = new Map();
+            let fs = {
+                existsSync: path => files.has(path),
+                readFileSync: path => files.get(path),
+                writeFileSync: (path, data) => files.set(path, data)
+            };
+            assert.throws(() => Dynx.adapters.file('state.json'), /file system/);
+            for(let adapter of [Dynx.adapters.webStorage(storage), Dynx.adapters.file('state.json', {fs})]){
+                let dynx = new Dynx({a: 1});
+                Dynx.persist(dynx, adapter, 'key');
+                dynx.value = {a: 2};
+                let copy = new Dynx();
+                Dynx.persist(copy, adapter, 'key');
+                assert.deepEqual(copy.value, {a: 2});
+            }
+            assert.deepEqual(JSON.parse(files.get('state.json')), {key: {version: 0, value: {a: 2}}});
+
+            files.set('state.json', '{"key": ');
+            let migrations = [];
+            let dynx = new Dynx(1);
+            Dynx.persist(dynx, Dynx.adapters.file('state.json', {fs}), 'key', {
+                migrate: (data, version) => (migrations.push([data, version]), 2)
+            });
+            assert.deepEqual(migrations, [['{"key": ', undefined]]);
+            assert.strictEqual(dynx.value, 2);
+            dynx.value = 3;
+            assert.deepEqual(JSON.parse(files.get('state.json')), {key: {version: 0, value: 3}});
+        });
+        mocha.it('waits for async adapters', () => {
+            let storage = new Map([['key', JSON.stringify({version: 0, value: 1})]]);
+            let memory = Dynx.adapters.memory(storage);
+            let adapter = {
+                load: key => Promise.resolve(memory.load(key)),
+                save: (key, data) => Promise.resolve(memory.save(key, data)),
+                remove: key => Promise.resolve(memory.remove(key))
+            };
+            let dynx = new Dynx(0);
+            let persistence = Dynx.persist(dynx, adapter, 'key');
+            assert.strictEqual(dynx.value, 0);
+            return persistence.loaded.then(() => {
+                assert.strictEqual(dynx.value, 1);
+            });
+        });
+    });
+    mocha.describe('runtime', () => {
+        mocha.it('is isolated', () => {
+            let Other = Dynx.createRuntime({scheduler: Dynx.schedulers.microtask});
+            assert.strictEqual(Other.scheduler, Dynx.schedulers.microtask);
+            assert.strictEqual(Dynx.scheduler, Dynx.schedulers.sync);
+            assert.strictEqual(Other.INVALID, INVALID);
+            let a = new Other(1);
+            let b = Other(() => a.value + 1);
+            let c = a.transform(x => x > 1 ? 'big' : 'small');
+            let d = new Other({x: {y: 1}}).attr('x', 'y');
+            assert.instanceOf(c, Other);
+            assert.notInstanceOf(c, Dynx);
+            a.value = 2;
+            assert.strictEqual(b.value, 3);
+            assert.strictEqual(c.value, 'big');
+            assert.strictEqual(d.value, 1);
+            return Other.settled();
+        });
+        mocha.it('refuses Dynxes from other runtimes', () => {
+            let errors = [];
+            let Other = Dynx.createRuntime({onUncaughtError: err => errors.push(err.message)});
+            let a = new Dynx(1);
+            let b = Other(() => a.value);
+            assert.strictEqual(b.value, INVALID);
+            assert.include(errors[0], 'another runtime');
+            let c = Other(() => Dynx.immune(() => a.value));
+            assert.strictEqual(c.value, 1);
+            errors.length = 0;
+            assert.strictEqual(Other.tpl`v=${a}`.value, INVALID);
+            assert.include(errors[0], 'another runtime');
+            errors.length = 0;
+            assert.strictEqual(new Other(1).switch().case(a, 'one').default('other').value, INVALID);
+            assert.include(errors[0], 'another runtime');
+            assert.throws(() => Dynx.createRuntime({unknown: true}), /Unrecognized/);
+        });
+    });
+    mocha.describe('conditional', () => {
+        mocha.it('can chain conditions', () => {
+            let a = new Dynx(1);
+            let cond = a.if(x => x > 2, 'big').if(x => x > 1, 'medium').else('small');
+            assert.strictEqual(cond.value, 'small');
+            a.value = 2;
+            assert.strictEqual(cond.value, 'medium');
+            a.value = 3;
+            assert.strictEqual(cond.value, 'big');
+            assert.strictEqual(a.ifnot('falsy').value, undefined);
+        });
+        mocha.it('can match richer cases', () => {
+            let a = new Dynx(1);
+            let limit = new Dynx(100);
+            let cond = a.switch()
+                .case([1, 2], 'few')
+                .case(Dynx.range(3, 9), 'some')
+                .case(/^a/, 'a-word')
+                .case(x => x > limit.value, 'too many')
+                .default('many');
+            assert.strictEqual(cond.value, 'few');
+            a.value = 5;
+            assert.strictEqual(cond.value, 'some');
+            a.value = 'abc';
+            assert.strictEqual(cond.value, 'a-word');
+            a.value = 50;
+            assert.strictEqual(cond.value, 'many');
+            limit.value = 10;
+            assert.strictEqual(cond.value, 'too many');
+        });
+        mocha.it('resolves thens', () => {
+            let a = new Dynx(true);
+            let yes = new Dynx('yes');
+            let no = new Dynx('no');
+            let cond = a.if(yes).else(no);
+            assert.strictEqual(cond.value, 'yes');
+            assert.isFalse(cond.parents.includes(no));
+            yes.value = 'YES';
+            assert.strictEqual(cond.value, 'YES');
+            a.value = false;
+            assert.strictEqual(cond.value, 'no');
+            assert.isFalse(cond.parents.includes(yes));
+            let doubled = new Dynx(2).switch().case(x => x > 1, x => x * 2).default(() => 0);
+            assert.strictEqual(doubled.value, 4);
+        });
+        mocha.it('can be exhaustive', () => {
+            let a = new Dynx(1);
+            let errors = [];
+            let cond = a.switch().case(1, 'one').exhaustive();
+            cond.on('error', err => errors.push(err.message));
+            assert.strictEqual(cond.value, 'one');
+            a.value = 2;
+            assert.strictEqual(cond.value, INVALID);
+            assert.include(errors[0], 'Unmatched value 2');
+            a.value = INVALID;
+            assert.strictEqual(cond.value, INVALID);
+            assert.lengthOf(errors, 1);
+            a.value = 3;
+            assert.strictEqual(cond.default('other').value, 'other');
+        });
+        mocha.it('only evaluates the end of a chain', () => {
+            let handler = Dynx.onUncaughtError;
+            let errors = [];
+            Dynx.onUncaughtError = error => errors.push(error.message);
+            try{
+                let a = new Dynx(5);
+                let cond = a.switch().exhaustive().case(5, 'five');
+                assert.strictEqual(cond.value, 'five');
+                assert.lengthOf(errors, 0);
+                a.value = 6;
+                assert.deepEqual(errors, ['[Dynx] Unmatched value 6.']);
+            }finally{
+                Dynx.onUncaughtError = handler;
+            }
+        });
+    });
+    mocha.describe('effect', () => {
+        mocha.it('reruns when a dependency changes', () => {
+            let a = new Dynx(1);
+            let log = [];
+            let effect = Dynx.effect(() => {
+                let value = a.value;
+                log.push(`run ${value}`);
+                return () => log.push(`cleanup ${value}`);
+            });
+            a.value = 2;
+            assert.deepEqual(log, ['run 1', 'cleanup 1', 'run 2']);
+            effect.dispose();
+            a.value = 3;
+            assert.deepEqual(log, ['run 1', 'cleanup 1', 'run 2', 'cleanup 2']);
+        });
+        mocha.it('runs once the wave has settled', () => {
+            let a = new Dynx(1);
+            let d = Dynx(() => Dynx(() => Dynx(() => a.value + 1).value).value);
+            let log = [];
+            d.on('update', () => log.push('derived'));
+            Dynx.effect(() => log.push(`effect ${a.value}`));
+            log = [];
+            a.value = 2;
+            assert.deepEqual(log, ['derived', 'effect 2']);
+        });
+        mocha.it('does not depend on what it writes', () => {
+            let a = new Dynx(1);
+            let b = new Dynx();
+            let doubled = Dynx(() => b.value * 2);
+            let seen = [];
+            let effect = Dynx.effect(() => {
+                b.value = a.value;
+                seen.push(doubled.value);
+            });
+            assert.deepEqual(effect.parents, [a, doubled]);
+            a.value = 2;
+            assert.deepEqual(seen, [2, 4]);
+        });
+        mocha.it('is disposed with its scope', () => {
+            let a = new Dynx(1);
+            let runs = 0;
+            let cleanups = 0;
+            let scope = Dynx.root(() => {
+                Dynx.effect(() => {
+                    a.value;
+                    runs++;
+                    return () => cleanups++;
+                });
+            });
+            scope.dispose();
+            a.value = 2;
+            assert.strictEqual(runs, 1);
+            assert.strictEqual(cleanups, 1);
+        });
+    });
+    mocha.describe('stateful', () => {
+        mocha.it('passes the previous value to expressions', () => {
+            let a = new Dynx(1);
+            let calls = [];
+            let sum = Dynx((previous, dynx) => {
+                calls.push(dynx);
+                return (previous || 0) + a.value;
+            });
+            a.value = 2;
+            a.value = 3;
+            assert.strictEqual(sum.value, 6);
+            assert.strictEqual(calls[0], sum);
+        });
+        mocha.it('can scan', () => {
+            let a = new Dynx(1);
+            let total = a.scan((acc, value) => acc + value, 10);
+            assert.strictEqual(total.value, 11);
+            a.value = 2;
+            a.value = INVALID;
+            a.value = 3;
+            assert.strictEqual(total.value, 16);
+        });
+        mocha.it('can scan past errors', () => {
+            let a = new Dynx(1);
+            let up = Dynx(() => {
+                if(a.value < 0)
+                    throw new Error('negative');
+                return a.value;
+            });
+            up.on('error', () => {});
+            let total = up.scan((acc, value) => acc + value, 0);
+            a.value = -1;
+            assert.strictEqual(total.value, 1);
+            a.value = 2;
+            assert.strictEqual(total.value, 3);
+        });
+        mocha.it('can pair values', () => {
+            let a = new Dynx(1);
+            let pairs = a.pairwise();
+            assert.strictEqual(pairs.value, INVALID);
+            assert.strictEqual(a.previous.value, INVALID);
+            a.value = 2;
+            assert.deepEqual(pairs.value, [1, 2]);
+            a.value = 3;
+            assert.deepEqual(pairs.value, [2, 3]);
+            assert.strictEqual(a.previous.value, 2);
+            assert.strictEqual(a.previous, a.previous);
+        });
+        mocha.it('can skip equal values', () => {
+            let a = new Dynx({x: 1});
+            let distinct = a.distinct();
+            let updates = 0;
+            distinct.on('update', () => updates++);
+            a.value = {x: 1};
+            assert.strictEqual(updates, 0);
+            a.value = {x: 2};
+            assert.strictEqual(updates, 1);
+            assert.deepEqual(distinct.value, {x: 2});
+        });
+        mocha.it('can hold valid values', () => {
+            let a = new Dynx(INVALID);
+            let held = a.hold();
+            assert.strictEqual(held.value, INVALID);
+            a.value = 1;
+            a.value = INVALID;
+            assert.strictEqual(held.value, 1);
+            a.value = 2;
+            assert.strictEqual(held.value, 2);
+            let up = Dynx(() => {
+                if(a.value === 0)
+                    throw new Error('zero');
+                return a.value;
+            });
+            up.on('error', () => {});
+            let upHeld = up.hold();
+            a.value = 0;
+            assert.isFalse(upHeld.isErrored);
+            assert.strictEqual(upHeld.value, 2);
+        });
+        mocha.it('holds values while lazy', () => {
+            Dynx.lazy = true;
+            try{
+                let a = new Dynx(1);
+                let held = a.hold();
+                assert.strictEqual(held.value, 1);
+                a.value = 2;
+                a.value = INVALID;
+                assert.strictEqual(held.value, 2);
+            }finally{
+                Dynx.lazy = false;
+            }
+        });
+    });
+    mocha.describe('combinators', () => {
+        mocha.it('can combine all values', () => {
+            let a = new Dynx(1);
+            let b = new Dynx(2);
+            let list = Dynx.all([a, b, 3]);
+            let obj = Dynx.all({a, b});
+            assert.deepEqual(list.value, [1, 2, 3]);
+            assert.deepEqual(obj.value, {a: 1, b: 2});
+            b.value = INVALID;
+            assert.strictEqual(list.value, INVALID);
+            assert.strictEqual(obj.value, INVALID);
+            let sum = Dynx.combine((x, y) => x + y, a, b);
+            assert.strictEqual(sum.value, INVALID);
+            b.value = 5;
+            assert.strictEqual(sum.value, 6);
+        });
+        mocha.it('can take the first valid value', () => {
+            let a = new Dynx(INVALID);
+            let b = new Dynx(2);
+            let any = Dynx.any([a, b]);
+            assert.strictEqual(any.value, 2);
+            a.value = 1;
+            assert.strictEqual(any.value, 1);
+            b.value = INVALID;
+            a.value = INVALID;
+            assert.strictEqual(Dynx.race([a, b]).value, INVALID);
+        });
+        mocha.it('can merge updates', () => {
+            let a = new Dynx(1);
+            let b = new Dynx(2);
+            let merged = Dynx.merge(a, b);
+            assert.strictEqual(merged.value, INVALID);
+            b.value = 3;
+            assert.strictEqual(merged.value, 3);
+            a.value = 4;
+            assert.strictEqual(merged.value, 4);
+            merged.dispose();
+            assert.isFalse('update-listeners' in a);
+            let error = console.error;
+            let errors = [];
+            console.error = message => errors.push(message);
+            try{
+                Dynx.merge(a, new Dynx(5).constant());
+            }finally{
+                console.error = error;
+            }
+            assert.deepEqual(errors, []);
+        });
+        mocha.it('can fill templates', () => {
+            let name = new Dynx('world');
+            let greeting = Dynx.tpl`Hello ${name}, ${1 + 1}!`;
+            assert.strictEqual(greeting.value, 'Hello world, 2!');
+            name.value = 'you';
+            assert.strictEqual(greeting.value, 'Hello you, 2!');
+        });
+    });
+    mocha.describe('error', () => {
+        let handler;
+        let uncaught;
+        mocha.beforeEach(() => {
+            handler = Dynx.onUncaughtError;
+            uncaught = [];
+            Dynx.onUncaughtError = (error, dynx) => uncaught.push(error);
+        });
+        mocha.afterEach(() => {
+            Dynx.onUncaughtError = handler;
+        });
+        mocha.it('is captured', () => {
+            let fail = new Dynx(true);
+            let dynx = Dynx(() => {
+                if(fail.value)
+                    throw new Error('test');
+                return 5;
+            });
+            assert.isTrue(dynx.isErrored);
+            assert.strictEqual(dynx.error.message, 'test');
+            assert.strictEqual(dynx.value, INVALID);
+            fail.value = false;
+            assert.isFalse(dynx.isErrored);
+            assert.strictEqual(dynx.value, 5);
+        });
+        mocha.it('is captured from filters', () => {
+            let dynx = new Dynx('test');
+            dynx.on('filter', () => {
+                throw new Error('test');
+            });
+            assert.isTrue(dynx.isErrored);
+            assert.strictEqual(uncaught.length, 1);
+        });
+        mocha.it('propagates to dependents', () => {
+            let fail = new Dynx(true);
+            let source = Dynx(() => {
+                if(fail.value)
+                    throw new Error('test');
+                return 5;
+            });
+            let dependent = Dynx(() => source.value * 2);
+            let handled = Dynx(() => source.isErrored ? 0 : source.value);
+            assert.isTrue(dependent.isErrored);
+            assert.strictEqual(dependent.error, source.error);
+            assert.isFalse(handled.isErrored);
+            assert.strictEqual(handled.value, 0);
+            fail.value = false;
+            assert.strictEqual(dependent.value, 10);
+            assert.strictEqual(handled.value, 5);
+        });
+        mocha.it('triggers events', () => {
+            let fail = new Dynx(false);
+            let dynx = Dynx(() => {
+                if(fail.value)
+                    throw new Error('test');
+            });
+            let errors = [];
+            dynx.on('error', error => errors.push(error.message));
+            fail.value = true;
+            assert.deepEqual(errors, ['test']);
+            assert.strictEqual(uncaught.length, 0);
+        });
+        mocha.it('reports uncaught errors once', () => {
+            let source = Dynx(() => {
+                throw new Error('test');
+            });
+            Dynx(() => source.value);
+            Dynx(() => source.value);
+            assert.strictEqual(uncaught.length, 1);
+        });
+        mocha.it('restores the stacks', () => {
+            let dynx = new Dynx(0);
+            let counter = 0;
+            dynx.on('update', () => {
+                throw new Error('test');
+            });
+            assert.throws(() => dynx.value++, 'test');
+            assert.throws(() => Dynx.immune(() => {
+                throw new Error('test');
+            }), 'test');
+            let other = new Dynx(0);
+            Dynx(() => {
+                counter++;
+                return other.value;
+            });
+            other.value++;
+            assert.strictEqual(counter, 2);
+        });
+    });
+    mocha.describe('cycle', () => {
+        let handler;
+        mocha.beforeEach(() => {
+            handler = Dynx.onUncaughtError;
+            Dynx.onUncaughtError = () => {};
+        });
+        mocha.afterEach(() => {
+            Dynx.onUncaughtError = handler;
+            Dynx.maxIterations = 0;
+        });
+        mocha.it('is detected between expressions', () => {
+            let a = new Dynx(0, {name: 'a'});
+            let b = Dynx(() => a.value + 1, {name: 'b'});
+            let c = Dynx(() => b.value + 1, {name: 'c'});
+            a.exp = () => c.value + 1;
+            assert.isTrue(a.isErrored);
+            assert.instanceOf(a.error, DynxCycleError);
+            assert.deepEqual(a.error.chain, [a, b, c, a]);
+            assert.include(a.error.message, 'a -> b -> c -> a');
+            assert.isTrue(c.isErrored);
+        });
+        mocha.it('is detected between writes', () => {
+            let source = new Dynx(0);
+            let dynx = Dynx(() => {
+                source.value = source.value + 1;
+            });
+            assert.instanceOf(dynx.error, DynxCycleError);
+        });
+        mocha.it('is detected between effect writes', () => {
+            Dynx.maxIterations = 5;
+            let source = new Dynx(0);
+            let effect = Dynx.effect(() => {
+                source.value = source.value + 1;
+            });
+            assert.instanceOf(effect.error, DynxCycleError);
+        });
+        mocha.it('can iterate until converging', () => {
+            Dynx.maxIterations = 20;
+            let a = new Dynx(0);
+            let b = Dynx(() => a.value + 1);
+            a.exp = () => Math.min(b.value + 1, 10);
+            assert.isFalse(a.isErrored);
+            assert.strictEqual(a.value, 10);
+            assert.strictEqual(b.value, 11);
+        });
+        mocha.it('stops iterating at the maximum', () => {
+            Dynx.maxIterations = 5;
+            let a = new Dynx(0);
+            let b = Dynx(() => a.value + 1);
+            a.exp = () => b.value + 1;
+            assert.isTrue(a.isErrored || b.isErrored);
+        });
+    });
+    mocha.describe('graph', () => {
+        mocha.it('tracks parents and children', () => {
+            let a = new Dynx(1);
+            let b = new Dynx(2);
+            let sum = Dynx(() => a.value + b.value);
+            assert.sameMembers(sum.parents, [a, b]);
+            assert.sameMembers(a.children, [sum]);
+            assert.deepEqual(sum.children, []);
+        });
+        mocha.it('can be exported', () => {
+            let a = new Dynx(1, {name: 'a'});
+            let b = Dynx(() => a.value * 2, {name: 'b'});
+            let c = Dynx(() => b.value + 1, {name: 'c'}).finalize();
+            let d = new Dynx(INVALID, {name: 'd'});
+            let graph = Dynx.graph([b, d]);
+            assert.deepEqual(graph.nodes.map(node => node.dynx), [b, d, a, c]);
+            assert.deepEqual(graph.nodes.map(node => node.state), ['expression', 'invalid', 'source', 'final']);
+            assert.sameDeepMembers(graph.edges, [{from: 2, to: 0}, {from: 0, to: 3}]);
+            let json = JSON.parse(JSON.stringify(graph));
+            assert.deepEqual(json.nodes[1], {id: 1, name: 'd', state: 'invalid', rank: 0, value: 'INVALID'});
+            let dot = graph.toDot();
+            assert.include(dot, 'digraph dynx {');
+            assert.include(dot, 'n2 -> n0;');
+            assert.include(dot, 'label="b\\nexpression: 2"');
+        });
+    });
+    mocha.describe('time', () => {
+        mocha.it('can debounce', () => {
+            let clock = createClock();
+            let source = new Dynx(0);
+            let dynx = source.debounce(100, {clock});
+            source.value = 1;
+            clock.advance(50);
+            source.value = 2;
+            clock.advance(50);
+            assert.strictEqual(dynx.value, 0);
+            clock.advance(50);
+            assert.strictEqual(dynx.value, 2);
+        });
+        mocha.it('can throttle', () => {
+            let clock = createClock();
+            let source = new Dynx(0);
+            let dynx = source.throttle(100, {clock});
+            let values = [];
+            dynx.on('update', value => values.push(value));
+            source.value = 1;
+            source.value = 2;
+            source.value = 3;
+            assert.deepEqual(values, [1]);
+            clock.advance(100);
+            assert.deepEqual(values, [1, 3]);
+            clock.advance(100);
+            source.value = 4;
+            assert.deepEqual(values, [1, 3, 4]);
+        });
+        mocha.it('can delay', () => {
+            let clock = createClock();
+            let source = new Dynx(0);
+            let dynx = source.delay(100, {clock});
+            let values = [];
+            dynx.on('update', value => values.push(value));
+            source.value = 1;
+            clock.advance(50);
+            source.value = 2;
+            clock.advance(50);
+            assert.deepEqual(values, [1]);
+            clock.advance(50);
+            assert.deepEqual(values, [1, 2]);
+        });
+        mocha.it('can sample', () => {
+            let source = new Dynx(0);
+            let tick = new Dynx(0);
+            let dynx = source.sample(tick);
+            source.value = 1;
+            source.value = 2;
+            assert.strictEqual(dynx.value, 0);
+            tick.value++;
+            assert.strictEqual(dynx.value, 2);
+        });
+        mocha.it('stops timers when disposed', () => {
+            let clock = createClock();
+            let realClock = Dynx.clock;
+            Dynx.clock = clock;
+            try{
+                let source = new Dynx(0);
+                let dynx = source.debounce(100);
+                source.value = 1;
+                assert.strictEqual(clock.pending, 1);
+                dynx.dispose();
+                assert.strictEqual(clock.pending, 0);
+                source.value = 2;
+                assert.strictEqual(clock.pending, 0);
+            }finally{
+                Dynx.clock = realClock;
+            }
+        });
+    });
+    mocha.describe('trace', () => {
+        mocha.it('records waves', () => {
+            let a = new Dynx(1, {name: 'a'});
+            let b = Dynx(() => a.value * 2, {name: 'b'});
+            let c = Dynx(() => a.value + b.value, {name: 'c'});
+            let updates = 0;
+            c.on('update', () => updates++);
+            let trace = Dynx.trace(() => {
+                a.value = 2;
+                a.value = 3;
+            });
+            assert.strictEqual(trace.waves.length, 2);
+            let [wave] = trace.waves;
+            assert.strictEqual(wave.dynx, a);
+            assert.strictEqual(wave.reason, 'write');
+            assert.strictEqual(wave.oldValue, 1);
+            assert.strictEqual(wave.newValue, 2);
+            assert.isTrue(wave.changed);
+            assert.deepEqual(wave.children.map(entry => entry.name), ['b', 'c']);
+            let [entryB, entryC] = wave.children;
+            assert.strictEqual(entryB.reason, 'parent');
+            assert.deepEqual(entryB.children, []);
+            assert.strictEqual(entryC.newValue, 6);
+            assert.strictEqual(entryC.events.update, 1);
+            assert.isAtLeast(entryC.time.expression, 0);
+            assert.isAtLeast(entryC.time.total, entryC.time.expression);
+            let batched = Dynx.trace(() => Dynx.batch(() => {
+                a.value = 5;
+                b.value = 6;
+            }));
+            assert.deepEqual(batched.waves.map(entry => [entry.name, entry.reason]), [['a', 'write'], ['b', 'write']]);
+            let [waveA, waveB] = batched.waves;
+            assert.strictEqual(waveA.oldValue, 3);
+            assert.strictEqual(waveA.newValue, 5);
+            assert.deepEqual(waveA.children.map(entry => [entry.name, entry.reason]), [['c', 'parent']]);
+            assert.strictEqual(waveA.children[0].newValue, 11);
+            assert.deepEqual(waveB.children, []);
+        });
+        mocha.it('can be formatted', () => {
+            let a = new Dynx(1, {name: 'a'});
+            Dynx(() => a.value * 2, {name: 'b'});
+            let trace = Dynx.trace(() => a.value = 2);
+            let lines = trace.report().split('\n');
+            assert.strictEqual(lines.length, 2);
+            assert.match(lines[0], /^a \(write\) 1 -> 2 /);
+            assert.match(lines[1], /^  b \(parent\) 2 -> 4 /);
+        });
+    });
+    mocha.describe('scope', () => {
+        mocha.it('disposes owned Dynxes and listeners', () => {
+            let source = new Dynx(1);
+            let counter = 0;
+            let derived;
+            let scope = Dynx.scope(() => {
+                derived = Dynx(() => source.value * 2);
+                source.on('update', () => counter++);
+            });
+            source.value = 2;
+            assert.strictEqual(counter, 1);
+            scope.dispose();
+            assert.isTrue(scope.isDisposed);
+            assert.isTrue(derived.isDisposed);
+            source.value = 3;
+            assert.strictEqual(counter, 1);
+            assert.strictEqual(derived.value, 4);
+        });
+        mocha.it('forgets listeners removed manually', () => {
+            let source = new Dynx(1);
+            let counter = 0;
+            let kept = () => counter++;
+            let scope = Dynx.root(() => {
+                for(let i = 0; i < 10; i++){
+                    let listener = () => {};
+                    source.on('update', listener);
+                    source.off('update', listener);
+                }
+                source.on('update', kept);
+            });
+            assert.strictEqual(scope._owned.size, 1);
+            let other = new Dynx(1);
+            let otherScope = Dynx.root(() => other.on('update', kept));
+            other.dispose();
+            assert.strictEqual(otherScope._owned.size, 0);
+            scope.dispose();
+            source.value = 2;
+            assert.strictEqual(counter, 0);
+        });
+        mocha.it('disposes nested scopes', () => {
+            let inner, root, dynx;
+            let outer = Dynx.scope(() => {
+                inner = Dynx.scope(() => dynx = new Dynx(0));
+                root = Dynx.root();
+            });
+            outer.dispose();
+            assert.isTrue(inner.isDisposed);
+            assert.isTrue(dynx.isDisposed);
+            assert.isFalse(root.isDisposed);
+        });
+        mocha.it('disposes the last run of expressions', () => {
+            let source = new Dynx(1);
+            let inners = [];
+            let outer = Dynx(() => {
+                let inner = Dynx(() => source.value + 1);
+                inners.push(inner);
+                return source.value;
+            });
+            source.value = 2;
+            assert.strictEqual(inners.length, 2);
+            assert.isTrue(inners[0].isDisposed);
+            assert.isFalse(inners[1].isDisposed);
+            outer.dispose();
+            assert.isTrue(inners[1].isDisposed);
+        });
+    });
     mocha.describe('lifetime', () => {
         mocha.it('can be invalidated', () => {
             let dynx = new Dynx(5);
@@ -245,5 +1828,41 @@ mocha.describe('Dynx', () => {
             assert.isOk(dynx2.isConstant);
             assert.isOk(dynx2.isFinal);
         });
+        mocha.it('can be disposed', () => {
+            let source = new Dynx(1);
+            let counter = 0;
+            let dynx = Dynx(() => {
+                counter++;
+                return source.value * 2;
+            });
+            let child = Dynx(() => dynx.value + 1);
+            let disposed = false;
+            dynx.on('dispose', () => disposed = true);
+            dynx.dispose();
+            assert.isTrue(disposed);
+            assert.isTrue(dynx.isDisposed);
+            assert.strictEqual(dynx.value, 2);
+            assert.strictEqual(child.value, 3);
+            assert.isUndefined(source['update-listeners']);
+            assert.throws(() => dynx.value = 5);
+
+            counter = 0;
+            source.value = 2;
+            assert.strictEqual(counter, 0);
+            assert.strictEqual(dynx.value, 2);
+        });
+        mocha.it('unsubscribes eagerly', () => {
+            let fork = new Dynx(true);
+            let in1 = new Dynx(0);
+            let in2 = new Dynx(0);
+            let out = Dynx(() => fork.value ? in1.value : in2.value);
+            assert.strictEqual(in1['update-listeners'].length, 1);
+            fork.value = false;
+            assert.isUndefined(in1['update-listeners']);
+            assert.strictEqual(in2['update-listeners'].length, 1);
+            out.value = 5;
+            assert.isUndefined(fork['update-listeners']);
+            assert.isUndefined(in2['update-listeners']);
+        });
     });
 });
\ No newline at end of file